@@ -10,6 +10,14 @@ AWS.config.update({
 // Create Rekognition client
 const rekognition = new AWS.Rekognition();
 
+// Create S3 client, optionally pointed at an S3-compatible endpoint
+const s3 = new AWS.S3({
+  endpoint: process.env.S3_ENDPOINT || undefined,
+  s3ForcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+  signatureVersion: 'v4'
+});
+
 module.exports = {
-  rekognition
+  rekognition,
+  s3
 };
\ No newline at end of file
@@ -1,6 +1,138 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Event = require('../models/Event');
+const Photo = require('../models/Photo');
 const { AppError } = require('../utils/appError');
-const { indexFace } = require('../utils/rekognition');
+const { deleteFaces } = require('../providers/face');
+const storage = require('../providers/storage');
+const { sendStoredFile } = require('../utils/sendStoredFile');
+const { buildSignedUrl } = require('../utils/signedUrl');
+const { getClientUrl } = require('../utils/appUrl');
+const { sendEmail } = require('../emails');
+const { tagPendingClusters } = require('../utils/faceClusters');
+const {
+  MAX_REFERENCE_FACES,
+  enrollReferenceFace,
+  getEnrollmentStatus
+} = require('../utils/faceEnrollment');
+const { queueFaceBackfill } = require('../jobs/matchUserFaces');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+/**
+ * Issue an access token and a new refresh token for a session
+ * @param {Object} user - User document
+ * @param {Object} req - Express request, for the client's user agent
+ * @param {string} [family] - Session to continue; a new one is started if omitted
+ * @returns {Promise<Object>} - { token, refreshToken }
+ */
+const issueTokens = async (user, req, family = uuidv4()) => {
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+  
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: RefreshToken.hashToken(refreshToken),
+    family,
+    userAgent: req.get('user-agent'),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+  
+  return {
+    token: user.getSignedJwtToken(family),
+    refreshToken
+  };
+};
+
+/**
+ * End every session of a user: refresh tokens are revoked and access tokens
+ * issued so far are rejected. The user document is saved.
+ * @param {Object} user - User document
+ */
+const revokeAllSessions = async (user) => {
+  user.tokenVersion += 1;
+  await user.save();
+  
+  await RefreshToken.updateMany(
+    { user: user._id, revokedAt: null },
+    { revokedAt: Date.now() }
+  );
+};
+
+/**
+ * Email a user a link to verify their email address
+ * @param {Object} user - User document with a fresh verification token
+ * @param {string} token - Verification token
+ */
+const sendVerificationEmail = (user, token) => {
+  // The web app page posts the token to POST /api/auth/verify-email/:token
+  const verifyUrl = `${getClientUrl()}/verify-email/${token}`;
+  
+  return sendEmail({
+    to: user.email,
+    template: 'emailVerification',
+    data: { name: user.name, verifyUrl }
+  });
+};
+
+/**
+ * Link a user to their event invitations: the one whose invite link they
+ * followed, which they join straight away, and, once their email is
+ * verified, every other invitation sent to their address
+ * @param {Object} user - User document
+ * @param {string} [inviteCode] - Code from the invite link
+ * @returns {Promise<string[]>} - IDs of the events the user was linked to
+ */
+const linkInvitations = async (user, inviteCode) => {
+  const linkedEvents = new Set();
+  
+  if (inviteCode) {
+    const event = await Event.findOne({ 'invitees.inviteCode': inviteCode });
+    const invitee = event && event.invitees.find(inv => inv.inviteCode === inviteCode);
+    
+    // A code already claimed by another account is ignored
+    if (invitee && (!invitee.user || invitee.user.equals(user._id))) {
+      invitee.user = user._id;
+      invitee.status = 'accepted';
+      await event.save();
+      await tagPendingClusters(event, invitee);
+      linkedEvents.add(event._id.toString());
+      
+      // The code was emailed to the invitee, so holding it proves the address
+      if (!user.emailVerified && invitee.email && invitee.email.toLowerCase() === user.email.toLowerCase()) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = Date.now();
+        await user.save();
+      }
+    }
+  }
+  
+  // Invitations by email are only claimed with a verified address, so
+  // nobody can see an event by registering someone else's email
+  if (user.emailVerified) {
+    const events = await Event.find({ 'invitees.email': user.email })
+      .collation({ locale: 'en', strength: 2 });
+    
+    for (const event of events) {
+      const invitees = event.invitees.filter(inv =>
+        !inv.user && inv.email && inv.email.toLowerCase() === user.email.toLowerCase()
+      );
+      
+      if (invitees.length === 0) {
+        continue;
+      }
+      
+      for (const invitee of invitees) {
+        invitee.user = user._id;
+      }
+      await event.save();
+      linkedEvents.add(event._id.toString());
+    }
+  }
+  
+  return [...linkedEvents];
+};
 
 /**
  * @desc    Register user
@@ -9,7 +141,7 @@ const { indexFace } = require('../utils/rekognition');
  */
 exports.register = async (req, res, next) => {
   try {
-    const { name, email, password } = req.body;
+    const { name, email, password, inviteCode } = req.body;
     
     // Check if user exists
     const existingUser = await User.findOne({ email });
@@ -18,23 +150,38 @@ exports.register = async (req, res, next) => {
     }
     
     // Create user
-    const user = await User.create({
+    const user = new User({
       name,
       email,
       password
     });
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
     
-    // Generate token
-    const token = user.getSignedJwtToken();
+    // The account is usable before the email is verified, so a failed
+    // email does not fail registration; the user can ask for another
+    try {
+      await sendVerificationEmail(user, verificationToken);
+    } catch (error) {
+      console.error('Error sending verification email:', error);
+    }
+    
+    const linkedEvents = await linkInvitations(user, inviteCode);
+    
+    // Generate tokens
+    const { token, refreshToken } = await issueTokens(user, req);
     
     res.status(201).json({
       success: true,
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
-        email: user.email
-      }
+        email: user.email,
+        emailVerified: user.emailVerified
+      },
+      linkedEvents
     });
   } catch (error) {
     next(error);
@@ -48,7 +195,7 @@ exports.register = async (req, res, next) => {
  */
 exports.login = async (req, res, next) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, inviteCode } = req.body;
     
     // Check if email and password are provided
     if (!email || !password) {
@@ -67,16 +214,138 @@ exports.login = async (req, res, next) => {
       return next(new AppError('Invalid credentials', 401));
     }
     
-    // Generate token
-    const token = user.getSignedJwtToken();
+    const linkedEvents = await linkInvitations(user, inviteCode);
+    
+    // Generate tokens
+    const { token, refreshToken } = await issueTokens(user, req);
     
     res.status(200).json({
       success: true,
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
-        email: user.email
+        email: user.email,
+        emailVerified: user.emailVerified
+      },
+      linkedEvents
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Exchange a refresh token for new tokens
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const tokenHash = RefreshToken.hashToken(req.body.refreshToken);
+    
+    // Claim the token atomically so it can only be used once
+    const stored = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: Date.now() } },
+      { revokedAt: Date.now() }
+    );
+    
+    if (!stored) {
+      // A used token coming back means it was stolen, so end its session
+      const reused = await RefreshToken.findOne({ tokenHash, revokedAt: { $ne: null } });
+      if (reused) {
+        await RefreshToken.revokeFamily(reused.family);
+      }
+      
+      return next(new AppError('Invalid refresh token', 401));
+    }
+    
+    const user = await User.findById(stored.user);
+    if (!user) {
+      return next(new AppError('User no longer exists', 401));
+    }
+    
+    const { token, refreshToken } = await issueTokens(user, req, stored.family);
+    
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Log out of the current session
+ * @route   POST /api/auth/logout
+ * @access  Private
+ */
+exports.logout = async (req, res, next) => {
+  try {
+    if (req.sessionId) {
+      await RefreshToken.revokeFamily(req.sessionId);
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Log out of all sessions on every device
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+exports.logoutAll = async (req, res, next) => {
+  try {
+    await revokeAllSessions(req.user);
+    
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Verify an email address
+ * @route   POST /api/auth/verify-email/:token
+ * @access  Public
+ */
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(req.params.token),
+      emailVerificationExpires: { $gt: Date.now() }
+    });
+    
+    if (!user) {
+      return next(new AppError('Invalid or expired verification token', 400));
+    }
+    
+    user.emailVerified = true;
+    user.emailVerifiedAt = Date.now();
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+    
+    const linkedEvents = await linkInvitations(user);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        email: user.email,
+        emailVerified: user.emailVerified,
+        linkedEvents
       }
     });
   } catch (error) {
@@ -84,6 +353,148 @@ exports.login = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Send a new email verification link
+ * @route   POST /api/auth/verify-email/resend
+ * @access  Private
+ */
+exports.resendVerificationEmail = async (req, res, next) => {
+  try {
+    const user = req.user;
+    
+    if (user.emailVerified) {
+      return next(new AppError('Email is already verified', 400));
+    }
+    
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+    
+    await sendVerificationEmail(user, verificationToken);
+    
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Email a password reset link
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    
+    // Respond the same whether or not the account exists, so the endpoint
+    // cannot be used to find out who is registered
+    if (user) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+      
+      // The web app page sends the token to PUT /api/auth/reset-password/:token
+      const resetUrl = `${getClientUrl()}/reset-password/${resetToken}`;
+      
+      try {
+        await sendEmail({
+          to: user.email,
+          template: 'passwordReset',
+          data: { resetUrl }
+        });
+      } catch (error) {
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save();
+        
+        return next(new AppError('Email could not be sent', 500));
+      }
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: 'If an account exists for that email, a reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reset password with an emailed token
+ * @route   PUT /api/auth/reset-password/:token
+ * @access  Public
+ */
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      passwordResetToken: User.hashToken(req.params.token),
+      passwordResetExpires: { $gt: Date.now() }
+    });
+    
+    if (!user) {
+      return next(new AppError('Invalid or expired reset token', 400));
+    }
+    
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    
+    // The reset link was delivered, which proves ownership of the email
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = Date.now();
+    }
+    
+    // Sessions opened with the old password are ended
+    await revokeAllSessions(user);
+    await linkInvitations(user);
+    
+    const { token, refreshToken } = await issueTokens(user, req);
+    
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change password
+ * @route   PUT /api/auth/password
+ * @access  Private
+ */
+exports.changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user.id).select('+password');
+    
+    if (!(await user.matchPassword(currentPassword))) {
+      return next(new AppError('Current password is incorrect', 401));
+    }
+    
+    user.password = newPassword;
+    
+    // Other devices have to log in with the new password
+    await revokeAllSessions(user);
+    
+    const { token, refreshToken } = await issueTokens(user, req);
+    
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get current logged in user
  * @route   GET /api/auth/me
@@ -103,7 +514,7 @@ exports.getMe = async (req, res, next) => {
 };
 
 /**
- * @desc    Upload profile image and index face
+ * @desc    Upload profile image and enroll its face
  * @route   POST /api/auth/profile-image
  * @access  Private
  */
@@ -114,32 +525,318 @@ exports.uploadProfileImage = async (req, res, next) => {
     }
     
     const user = await User.findById(req.user.id);
+    const previousFace = user.referenceFaces.find(face => face.source === 'profile');
+    
+    // Remove the previous profile image from storage
+    if (user.profileImage) {
+      await storage.remove(user.getProfileImageKey());
+    }
     
-    // Update profile image path
-    user.profileImage = req.file.path;
+    // Update profile image storage key
+    user.profileImage = req.file.filename;
     
-    // Index face in Rekognition
-    try {
-      const rekognitionResponse = await indexFace(req.file.path, user.id);
+    // Enroll the face as a reference face, only with consent. The face
+    // from the previous profile image is replaced.
+    let faceEnrollment = { enrolled: false, reason: 'Face recognition consent is required' };
+    
+    if (user.faceRecognitionConsent.granted) {
+      const otherFaces = user.referenceFaces.filter(face => face !== previousFace);
+      const result = otherFaces.length >= MAX_REFERENCE_FACES
+        ? { reason: 'Reference face limit reached' }
+        : await enrollReferenceFace(user, req.file.filename, 'profile');
       
-      if (rekognitionResponse.FaceRecords && rekognitionResponse.FaceRecords.length > 0) {
-        user.faceId = rekognitionResponse.FaceRecords[0].Face.FaceId;
+      if (previousFace && result.face) {
+        await deleteFaces([previousFace.faceId]);
+        user.referenceFaces = user.referenceFaces.filter(face => face.faceId !== previousFace.faceId);
+      } else if (previousFace) {
+        // The old face stays enrolled but its image is gone
+        previousFace.image = null;
       }
-    } catch (error) {
-      console.error('Error indexing face:', error);
-      // Continue even if face indexing fails
+      
+      faceEnrollment = { enrolled: Boolean(result.face), reason: result.reason };
     }
     
     await user.save();
     
+    // Look for the new face in photos taken before it was enrolled
+    if (faceEnrollment.enrolled) {
+      await queueFaceBackfill(user._id);
+    }
+    
     res.status(200).json({
       success: true,
       data: {
         profileImage: user.profileImage,
-        faceId: user.faceId
+        faceEnrollment,
+        enrollment: getEnrollmentStatus(user)
       }
     });
   } catch (error) {
     next(error);
   }
+};
+
+/**
+ * @desc    Get face enrollment status
+ * @route   GET /api/auth/faces
+ * @access  Private
+ */
+exports.getFaceEnrollment = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    
+    res.status(200).json({
+      success: true,
+      data: getEnrollmentStatus(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Enroll reference photos of the user's face
+ * @route   POST /api/auth/faces
+ * @access  Private
+ */
+exports.enrollFaces = async (req, res, next) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return next(new AppError('Please upload at least one image', 400));
+    }
+    
+    const user = await User.findById(req.user.id);
+    
+    if (!user.faceRecognitionConsent.granted) {
+      await Promise.all(req.files.map(file => storage.remove(file.filename)));
+      return next(new AppError('Face recognition consent is required', 400));
+    }
+    
+    const enrolled = [];
+    const rejected = [];
+    
+    for (const file of req.files) {
+      const result = user.referenceFaces.length >= MAX_REFERENCE_FACES
+        ? { reason: 'Reference face limit reached' }
+        : await enrollReferenceFace(user, file.filename, 'enrollment');
+      
+      if (result.face) {
+        enrolled.push({ filename: file.originalname, faceId: result.face.faceId });
+      } else {
+        // Rejected images are not kept
+        await storage.remove(file.filename);
+        rejected.push({ filename: file.originalname, reason: result.reason });
+      }
+    }
+    
+    await user.save();
+    
+    // Look for the new faces in photos taken before they were enrolled
+    if (enrolled.length > 0) {
+      await queueFaceBackfill(user._id);
+    }
+    
+    res.status(enrolled.length > 0 ? 201 : 200).json({
+      success: true,
+      data: getEnrollmentStatus(user),
+      enrolled,
+      rejected
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove one of the user's reference faces
+ * @route   DELETE /api/auth/faces/:faceId
+ * @access  Private
+ */
+exports.removeReferenceFace = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const face = user.referenceFaces.find(referenceFace => referenceFace.faceId === req.params.faceId);
+    
+    if (!face) {
+      return next(new AppError(`Reference face not found with id of ${req.params.faceId}`, 404));
+    }
+    
+    await deleteFaces([face.faceId]);
+    
+    // The profile image stays; enrollment photos only exist for matching
+    if (face.source === 'enrollment' && face.image) {
+      await storage.remove(face.image);
+    }
+    
+    user.referenceFaces = user.referenceFaces.filter(referenceFace => referenceFace.faceId !== face.faceId);
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      data: getEnrollmentStatus(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Consent to face recognition
+ * @route   POST /api/auth/face-consent
+ * @access  Private
+ */
+exports.grantFaceConsent = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    
+    if (!user.faceRecognitionConsent.granted) {
+      user.faceRecognitionConsent.granted = true;
+      user.faceRecognitionConsent.grantedAt = Date.now();
+      user.faceRecognitionConsent.revokedAt = null;
+      await user.save();
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: user.faceRecognitionConsent
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Opt out of face recognition and delete face data
+ * @route   DELETE /api/auth/face-consent
+ * @access  Private
+ */
+exports.revokeFaceConsent = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    
+    // Delete indexed faces from the provider collection along with the
+    // photos they were enrolled from
+    if (user.referenceFaces.length > 0) {
+      await deleteFaces(user.referenceFaces.map(face => face.faceId));
+    }
+    
+    for (const face of user.referenceFaces) {
+      if (face.source === 'enrollment' && face.image) {
+        await storage.remove(face.image);
+      }
+    }
+    
+    // Strip the user's tags from every photo. The faces are suppressed so
+    // reprocessing never searches, clusters or indexes them again.
+    const result = await Photo.updateMany(
+      { 'detectedFaces.user': user._id },
+      {
+        $set: {
+          'detectedFaces.$[face].user': null,
+          'detectedFaces.$[face].faceId': null,
+          'detectedFaces.$[face].confidence': null,
+          'detectedFaces.$[face].status': 'suppressed',
+          'detectedFaces.$[face].cluster': null,
+          'detectedFaces.$[face].clusterFaceId': null
+        }
+      },
+      { arrayFilters: [{ 'face.user': user._id }] }
+    );
+    
+    user.referenceFaces = [];
+    user.faceRecognitionConsent.granted = false;
+    user.faceRecognitionConsent.revokedAt = Date.now();
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        faceRecognitionConsent: user.faceRecognitionConsent,
+        photosUntagged: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check whether a user may see another user's profile image: their own, or
+ * that of someone they are an accepted member of an event with
+ * @param {string} viewerId - ID of the requesting user
+ * @param {string} userId - ID of the profile owner
+ * @returns {Promise<boolean>}
+ */
+const canViewProfileImage = async (viewerId, userId) => {
+  if (viewerId === userId) {
+    return true;
+  }
+  
+  const isMember = id => ({
+    $or: [
+      { creator: id },
+      { invitees: { $elemMatch: { user: id, status: 'accepted' } } }
+    ]
+  });
+  
+  const sharedEvents = await Event.find({ $and: [isMember(viewerId), isMember(userId)] });
+  
+  // Every role can see the event's members
+  return sharedEvents.some(event =>
+    !event.isDeleted() && event.hasRole(viewerId, 'viewer') && event.hasRole(userId, 'viewer')
+  );
+};
+
+/**
+ * @desc    Get a user's profile image file
+ * @route   GET /api/auth/profile-image/:userId
+ * @access  Private (bearer token or signed URL)
+ */
+exports.getProfileImage = async (req, res, next) => {
+  try {
+    if (!req.signedAccess && !(await canViewProfileImage(req.user.id, req.params.userId))) {
+      return next(new AppError('Not authorized to access this profile image', 403));
+    }
+    
+    const user = await User.findById(req.params.userId);
+    
+    if (!user || !user.profileImage) {
+      return next(new AppError('Profile image not found', 404));
+    }
+    
+    await sendStoredFile(req, res, user.getProfileImageKey());
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a short-lived signed URL for a user's profile image
+ * @route   GET /api/auth/profile-image/:userId/url
+ * @access  Private
+ */
+exports.getProfileImageUrl = async (req, res, next) => {
+  try {
+    if (!(await canViewProfileImage(req.user.id, req.params.userId))) {
+      return next(new AppError('Not authorized to access this profile image', 403));
+    }
+    
+    const user = await User.findById(req.params.userId);
+    
+    if (!user || !user.profileImage) {
+      return next(new AppError('Profile image not found', 404));
+    }
+    
+    const signedUrl = buildSignedUrl(
+      `${req.protocol}://${req.get('host')}/api/auth/profile-image/${user._id}`,
+      `profile:${user._id}`
+    );
+    
+    res.status(200).json({
+      success: true,
+      data: signedUrl
+    });
+  } catch (error) {
+    next(error);
+  }
 };
\ No newline at end of file
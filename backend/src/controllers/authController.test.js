@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const { refreshToken } = require('./authController');
+
+// Refresh tokens kept in memory, matched the way the controller queries them
+let tokens = [];
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  const value = doc[field];
+
+  if (condition && condition.$ne !== undefined) {
+    return value !== condition.$ne;
+  }
+
+  if (condition && condition.$gt !== undefined) {
+    return value > condition.$gt;
+  }
+
+  return value === condition;
+});
+
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  getSignedJwtToken: family => `access-token:${family}`
+};
+
+const buildReq = token => ({
+  body: { refreshToken: token },
+  get: () => 'jest'
+});
+
+const buildRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Exchange a refresh token and return the response body or the error
+const exchange = async (token) => {
+  const res = buildRes();
+  const next = jest.fn();
+
+  await refreshToken(buildReq(token), res, next);
+
+  if (next.mock.calls.length > 0) {
+    return { error: next.mock.calls[0][0] };
+  }
+
+  return res.json.mock.calls[0][0];
+};
+
+const storeToken = (token, fields = {}) => {
+  tokens.push({
+    user: user._id,
+    tokenHash: RefreshToken.hashToken(token),
+    family: 'session-1',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    revokedAt: null,
+    ...fields
+  });
+};
+
+const familyTokens = family => tokens.filter(doc => doc.family === family);
+
+beforeEach(() => {
+  tokens = [];
+
+  jest.spyOn(RefreshToken, 'create').mockImplementation(async (doc) => {
+    tokens.push({ revokedAt: null, ...doc });
+  });
+  jest.spyOn(RefreshToken, 'findOne').mockImplementation(async filter =>
+    tokens.find(doc => matches(doc, filter)) || null
+  );
+  jest.spyOn(RefreshToken, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const doc = tokens.find(candidate => matches(candidate, filter));
+
+    if (!doc) {
+      return null;
+    }
+
+    const original = { ...doc };
+    Object.assign(doc, update);
+    return original;
+  });
+  jest.spyOn(RefreshToken, 'updateMany').mockImplementation(async (filter, update) => {
+    tokens.filter(doc => matches(doc, filter)).forEach(doc => Object.assign(doc, update));
+  });
+  jest.spyOn(User, 'findById').mockResolvedValue(user);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('refreshToken', () => {
+  it('rotates the token within its session', async () => {
+    storeToken('first');
+
+    const body = await exchange('first');
+
+    expect(body.success).toBe(true);
+    expect(body.token).toBe('access-token:session-1');
+    expect(body.refreshToken).not.toBe('first');
+    expect(familyTokens('session-1')).toHaveLength(2);
+    expect(tokens.find(doc => doc.tokenHash === RefreshToken.hashToken('first')).revokedAt)
+      .not.toBeNull();
+  });
+
+  it('ends the session when a used token comes back', async () => {
+    storeToken('first');
+    storeToken('other-session', { family: 'session-2' });
+
+    const { refreshToken: second } = await exchange('first');
+    const { error } = await exchange('first');
+
+    expect(error.statusCode).toBe(401);
+    expect(familyTokens('session-1').every(doc => doc.revokedAt)).toBe(true);
+    expect(familyTokens('session-2')[0].revokedAt).toBeNull();
+
+    // The token issued to whoever used it first no longer works either
+    const { error: secondError } = await exchange(second);
+    expect(secondError.statusCode).toBe(401);
+  });
+
+  it('rejects unknown tokens without revoking anything', async () => {
+    storeToken('first');
+
+    const { error } = await exchange('unknown');
+
+    expect(error.statusCode).toBe(401);
+    expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+    expect(tokens[0].revokedAt).toBeNull();
+  });
+
+  it('rejects expired tokens without ending the session', async () => {
+    storeToken('expired', { expiresAt: new Date(Date.now() - 1000) });
+    storeToken('current');
+
+    const { error } = await exchange('expired');
+
+    expect(error.statusCode).toBe(401);
+    expect(familyTokens('session-1').every(doc => doc.revokedAt === null)).toBe(true);
+  });
+
+  it('rejects tokens of users who no longer exist', async () => {
+    storeToken('first');
+    User.findById.mockResolvedValue(null);
+
+    const { error } = await exchange('first');
+
+    expect(error.statusCode).toBe(401);
+    expect(error.message).toBe('User no longer exists');
+  });
+});
@@ -1,8 +1,41 @@
 const Event = require('../models/Event');
 const User = require('../models/User');
+const Photo = require('../models/Photo');
 const { AppError } = require('../utils/appError');
+const { parsePage, dateRange, paginate } = require('../utils/pagination');
+const { removeEventClusters, tagPendingClusters } = require('../utils/faceClusters');
+const { scheduleEventDeletion, cancelEventDeletion } = require('../jobs/deleteEvent');
+const { createNotification } = require('./notificationController');
 const { v4: uuidv4 } = require('uuid');
 
+// Time members have to download an event's photos when it is deleted with
+// the archive option
+const DELETE_GRACE_HOURS = parseInt(process.env.EVENT_DELETE_GRACE_HOURS, 10) || 72;
+
+/**
+ * Flatten nested settings into dotted paths, so an update only changes the
+ * fields it names, e.g. { faceMatching: { enabled: false } } becomes
+ * { 'faceMatching.enabled': false }
+ * @param {Object} updates - Update fields
+ * @param {string} [prefix] - Path of the object being flattened
+ * @returns {Object} - Dotted paths mapped to values
+ */
+const toUpdatePaths = (updates, prefix = '') => {
+  const paths = {};
+  
+  for (const [key, value] of Object.entries(updates)) {
+    const path = `${prefix}${key}`;
+    
+    if (value && typeof value === 'object' && value.constructor === Object) {
+      Object.assign(paths, toUpdatePaths(value, `${path}.`));
+    } else {
+      paths[path] = value;
+    }
+  }
+  
+  return paths;
+};
+
 /**
  * @desc    Create new event
  * @route   POST /api/events
@@ -10,8 +43,11 @@ const { v4: uuidv4 } = require('uuid');
  */
 exports.createEvent = async (req, res, next) => {
   try {
-    // Add creator to the event
+    // Add creator to the event. Invitees are added through addInvitees so
+    // they start as pending and accept for themselves.
     req.body.creator = req.user.id;
+    delete req.body.invitees;
+    delete req.body.deletion;
     
     const event = await Event.create(req.body);
     
@@ -24,24 +60,59 @@ exports.createEvent = async (req, res, next) => {
   }
 };
 
+// Fields event lists can be sorted on
+const EVENT_SORT_FIELDS = {
+  date: 'date',
+  createdAt: 'date',
+  name: 'string'
+};
+
+exports.EVENT_SORT_FIELDS = EVENT_SORT_FIELDS;
+
 /**
  * @desc    Get all events
- * @route   GET /api/events
+ * @route   GET /api/events?sort=&limit=&cursor=&dateFrom=&dateTo=&role=
  * @access  Private
  */
 exports.getEvents = async (req, res, next) => {
   try {
-    // Get events created by the user or where user is invited
-    const events = await Event.find({
-      $or: [
-        { creator: req.user.id },
-        { 'invitees.user': req.user.id }
-      ]
-    }).sort({ date: -1 });
+    // Get events created by the user or where user is invited, or only one
+    // of the two
+    const membership = {
+      owner: { creator: req.user.id },
+      invited: { 'invitees.user': req.user.id }
+    };
+    
+    // Events in their deletion grace period are still listed
+    const conditions = [
+      req.query.role
+        ? membership[req.query.role]
+        : { $or: [membership.owner, membership.invited] },
+      {
+        $or: [
+          { 'deletion.scheduledAt': null },
+          { 'deletion.scheduledAt': { $gt: Date.now() } }
+        ]
+      }
+    ];
+    
+    const date = dateRange(req.query.dateFrom, req.query.dateTo);
+    
+    if (date) {
+      conditions.push({ date });
+    }
+    
+    const page = parsePage(req.query, {
+      sortFields: EVENT_SORT_FIELDS,
+      defaultSort: '-date'
+    });
+    
+    const { data: events, pagination } = await paginate(Event, { $and: conditions }, page);
     
     res.status(200).json({
       success: true,
       count: events.length,
+      pagination,
       data: events
     });
   } catch (error) {
@@ -56,23 +127,10 @@ exports.getEvents = async (req, res, next) => {
  */
 exports.getEvent = async (req, res, next) => {
   try {
-    const event = await Event.findById(req.params.id)
-      .populate('creator', 'name email')
-      .populate('invitees.user', 'name email');
-    
-    if (!event) {
-      return next(new AppError(`Event not found with id of ${req.params.id}`, 404));
-    }
-    
-    // Check if user is creator or invitee
-    const isCreator = event.creator._id.toString() === req.user.id;
-    const isInvitee = event.invitees.some(invitee => 
-      invitee.user && invitee.user._id.toString() === req.user.id
-    );
-    
-    if (!isCreator && !isInvitee && event.isPrivate) {
-      return next(new AppError('Not authorized to access this event', 401));
-    }
+    const event = await req.event.populate([
+      { path: 'creator', select: 'name email' },
+      { path: 'invitees.user', select: 'name email' }
+    ]);
     
     res.status(200).json({
       success: true,
@@ -90,22 +148,25 @@ exports.getEvent = async (req, res, next) => {
  */
 exports.updateEvent = async (req, res, next) => {
   try {
-    let event = await Event.findById(req.params.id);
-    
-    if (!event) {
-      return next(new AppError(`Event not found with id of ${req.params.id}`, 404));
-    }
+    // Membership and ownership change through their own endpoints
+    const updates = { ...req.body };
+    delete updates.creator;
+    delete updates.invitees;
+    delete updates.deletion;
     
-    // Check if user is event creator
-    if (event.creator.toString() !== req.user.id) {
-      return next(new AppError('Not authorized to update this event', 401));
-    }
+    const wasMatchingFaces = req.event.faceMatching.enabled;
     
-    event = await Event.findByIdAndUpdate(req.params.id, req.body, {
+    const event = await Event.findByIdAndUpdate(req.event._id, { $set: toUpdatePaths(updates) }, {
       new: true,
       runValidators: true
     });
     
+    // Turning face recognition off removes the face data already collected
+    if (wasMatchingFaces && !event.faceMatching.enabled) {
+      await removeEventClusters(event);
+      await Photo.updateMany({ event: event._id }, { $set: { detectedFaces: [] } });
+    }
+    
     res.status(200).json({
       success: true,
       data: event
@@ -116,28 +177,69 @@ exports.updateEvent = async (req, res, next) => {
 };
 
 /**
- * @desc    Delete event
- * @route   DELETE /api/events/:id
+ * @desc    Delete event, with its photos, files and notifications. With
+ *          ?archive=true members get a grace period to download the photos.
+ * @route   DELETE /api/events/:id?archive=true
  * @access  Private
  */
 exports.deleteEvent = async (req, res, next) => {
   try {
-    const event = await Event.findById(req.params.id);
+    const { event } = req;
+    const withArchive = req.query.archive === 'true';
+    const scheduledAt = withArchive
+      ? new Date(Date.now() + DELETE_GRACE_HOURS * 60 * 60 * 1000)
+      : new Date();
+    
+    await scheduleEventDeletion(event, req.user.id, scheduledAt);
     
-    if (!event) {
-      return next(new AppError(`Event not found with id of ${req.params.id}`, 404));
+    if (withArchive) {
+      const memberIds = event.getParticipantIds().filter(id => id !== req.user.id);
+      
+      for (const memberId of memberIds) {
+        await createNotification({
+          recipient: memberId,
+          type: 'system',
+          title: `${event.name} will be deleted`,
+          message: `${event.name} and its photos will be deleted on ${scheduledAt.toUTCString()}. Download the photos before then.`,
+          relatedEvent: event._id
+        });
+      }
     }
     
-    // Check if user is event creator
-    if (event.creator.toString() !== req.user.id) {
-      return next(new AppError('Not authorized to delete this event', 401));
+    res.status(202).json({
+      success: true,
+      data: {
+        deletionScheduledAt: scheduledAt,
+        archiveUrl: withArchive
+          ? `${req.protocol}://${req.get('host')}/api/photos/event/${event._id}/archive`
+          : undefined
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel an event's deletion during its grace period
+ * @route   POST /api/events/:id/restore
+ * @access  Private
+ */
+exports.restoreEvent = async (req, res, next) => {
+  try {
+    const { event } = req;
+    
+    if (!event.isPendingDeletion()) {
+      return next(new AppError('Event is not scheduled for deletion', 400));
     }
     
-    await event.deleteOne();
+    if (!(await cancelEventDeletion(event))) {
+      return next(new AppError('Event is already being deleted', 409));
+    }
     
     res.status(200).json({
       success: true,
-      data: {}
+      data: event
     });
   } catch (error) {
     next(error);
@@ -157,15 +259,12 @@ exports.addInvitees = async (req, res, next) => {
       return next(new AppError('Please provide invitees array', 400));
     }
     
-    const event = await Event.findById(req.params.id);
-    
-    if (!event) {
-      return next(new AppError(`Event not found with id of ${req.params.id}`, 404));
-    }
+    const { event } = req;
     
-    // Check if user is event creator
-    if (event.creator.toString() !== req.user.id) {
-      return next(new AppError('Not authorized to add invitees to this event', 401));
+    // Only the owner can make someone a co-host
+    const addsCoHost = invitees.some(invitee => invitee.role === 'co-host');
+    if (addsCoHost && !event.hasRole(req.user.id, 'owner')) {
+      return next(new AppError('Only the event owner can add co-hosts', 403));
     }
     
     // Process each invitee
@@ -189,7 +288,8 @@ exports.addInvitees = async (req, res, next) => {
             user: invitee.userId,
             email: user.email,
             inviteCode,
-            status: 'pending'
+            status: 'pending',
+            role: invitee.role
           });
         }
       } else if (invitee.email) {
@@ -202,7 +302,8 @@ exports.addInvitees = async (req, res, next) => {
           event.invitees.push({
             email: invitee.email,
             inviteCode,
-            status: 'pending'
+            status: 'pending',
+            role: invitee.role
           });
         }
       }
@@ -226,16 +327,7 @@ exports.addInvitees = async (req, res, next) => {
  */
 exports.removeInvitee = async (req, res, next) => {
   try {
-    const event = await Event.findById(req.params.id);
-    
-    if (!event) {
-      return next(new AppError(`Event not found with id of ${req.params.id}`, 404));
-    }
-    
-    // Check if user is event creator
-    if (event.creator.toString() !== req.user.id) {
-      return next(new AppError('Not authorized to remove invitees from this event', 401));
-    }
+    const { event } = req;
     
     // Find and remove invitee
     const inviteeIndex = event.invitees.findIndex(
@@ -246,6 +338,11 @@ exports.removeInvitee = async (req, res, next) => {
       return next(new AppError('Invitee not found', 404));
     }
     
+    // Only the owner can remove a co-host
+    if (event.invitees[inviteeIndex].role === 'co-host' && !event.hasRole(req.user.id, 'owner')) {
+      return next(new AppError('Only the event owner can remove co-hosts', 403));
+    }
+    
     event.invitees.splice(inviteeIndex, 1);
     await event.save();
     
@@ -258,6 +355,80 @@ exports.removeInvitee = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Change an invitee's role
+ * @route   PUT /api/events/:id/invitees/:inviteeId/role
+ * @access  Private
+ */
+exports.updateInviteeRole = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+    const { event } = req;
+    
+    const invitee = event.invitees.id(req.params.inviteeId);
+    
+    if (!invitee) {
+      return next(new AppError('Invitee not found', 404));
+    }
+    
+    // Co-hosts manage contributors and viewers; only the owner appoints or
+    // demotes co-hosts
+    if ((role === 'co-host' || invitee.role === 'co-host') && !event.hasRole(req.user.id, 'owner')) {
+      return next(new AppError('Only the event owner can change co-hosts', 403));
+    }
+    
+    invitee.role = role;
+    await event.save();
+    
+    res.status(200).json({
+      success: true,
+      data: invitee
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Transfer ownership of an event to a member
+ * @route   PUT /api/events/:id/owner
+ * @access  Private
+ */
+exports.transferOwnership = async (req, res, next) => {
+  try {
+    const { userId } = req.body;
+    const { event } = req;
+    
+    // The new owner must be a member who accepted
+    const newOwner = event.invitees.find(inv =>
+      inv.user && inv.user.toString() === userId && inv.status === 'accepted'
+    );
+    
+    if (!newOwner) {
+      return next(new AppError('New owner must be an invitee who accepted', 400));
+    }
+    
+    // The previous owner stays on as a co-host
+    event.invitees.pull(newOwner._id);
+    event.invitees.push({
+      user: req.user._id,
+      email: req.user.email,
+      inviteCode: uuidv4(),
+      status: 'accepted',
+      role: 'co-host'
+    });
+    event.creator = userId;
+    await event.save();
+    
+    res.status(200).json({
+      success: true,
+      data: event
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Respond to event invitation
  * @route   PUT /api/events/:id/invite-response
@@ -275,11 +446,7 @@ exports.respondToInvite = async (req, res, next) => {
       return next(new AppError('Please provide invite code', 400));
     }
     
-    const event = await Event.findById(req.params.id);
-    
-    if (!event) {
-      return next(new AppError(`Event not found with id of ${req.params.id}`, 404));
-    }
+    const { event } = req;
     
     // Find invitation by code
     const inviteeIndex = event.invitees.findIndex(
@@ -300,6 +467,11 @@ exports.respondToInvite = async (req, res, next) => {
     
     await event.save();
     
+    // Tag the invitee in face clusters the host identified as them
+    if (status === 'accepted') {
+      await tagPendingClusters(event, event.invitees[inviteeIndex]);
+    }
+    
     res.status(200).json({
       success: true,
       data: event
@@ -0,0 +1,144 @@
+const Photo = require('../models/Photo');
+const FaceCluster = require('../models/FaceCluster');
+const { AppError } = require('../utils/appError');
+const { buildSignedUrl } = require('../utils/signedUrl');
+const { tagCluster } = require('../utils/faceClusters');
+
+// Number of sample faces returned per cluster
+const CLUSTER_SAMPLE_SIZE = 4;
+
+/**
+ * @desc    Get clusters of unidentified faces in an event
+ * @route   GET /api/events/:id/face-clusters
+ * @access  Private
+ */
+exports.getFaceClusters = async (req, res, next) => {
+  try {
+    const { event } = req;
+
+    const groups = await Photo.aggregate([
+      { $match: { event: event._id, 'detectedFaces.cluster': { $ne: null } } },
+      { $unwind: '$detectedFaces' },
+      { $match: { 'detectedFaces.cluster': { $ne: null } } },
+      // The largest faces make the clearest samples
+      { $sort: { 'detectedFaces.boundingBox.width': -1 } },
+      {
+        $group: {
+          _id: '$detectedFaces.cluster',
+          faceCount: { $sum: 1 },
+          photos: { $addToSet: '$_id' },
+          samples: { $push: { photo: '$_id', face: '$detectedFaces._id' } }
+        }
+      },
+      {
+        $project: {
+          faceCount: 1,
+          photoCount: { $size: '$photos' },
+          samples: { $slice: ['$samples', CLUSTER_SAMPLE_SIZE] }
+        }
+      },
+      { $sort: { photoCount: -1, _id: 1 } }
+    ]);
+
+    const clusters = await FaceCluster.find({ _id: { $in: groups.map(group => group._id) } });
+    const baseUrl = `${req.protocol}://${req.get('host')}/api/photos`;
+
+    const data = groups.map(group => {
+      const cluster = clusters.find(doc => doc._id.equals(group._id));
+
+      return {
+        _id: group._id,
+        faceCount: group.faceCount,
+        photoCount: group.photoCount,
+        assignedInvitee: cluster ? cluster.assignedInvitee : null,
+        samples: group.samples.map(sample => ({
+          photo: sample.photo,
+          face: sample.face,
+          crop: buildSignedUrl(
+            `${baseUrl}/${sample.photo}/faces/${sample.face}/crop`,
+            `photo:${sample.photo}`
+          )
+        }))
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Identify a face cluster as an invitee, tagging all its photos
+ * @route   PUT /api/events/:id/face-clusters/:clusterId/assign
+ * @access  Private
+ */
+exports.assignFaceCluster = async (req, res, next) => {
+  try {
+    const { userId, email } = req.body;
+    const { event } = req;
+
+    const cluster = await FaceCluster.findOne({
+      _id: req.params.clusterId,
+      event: event._id
+    });
+
+    if (!cluster) {
+      return next(new AppError(`Face cluster not found with id of ${req.params.clusterId}`, 404));
+    }
+
+    if (cluster.assignedTo) {
+      return next(new AppError('Face cluster has already been assigned', 400));
+    }
+
+    if (!userId && !email) {
+      return next(new AppError('Please provide a userId or email', 400));
+    }
+
+    let assigneeId = userId;
+
+    if (email) {
+      const invitee = event.invitees.find(inv =>
+        inv.email && inv.email.toLowerCase() === email.toLowerCase()
+      );
+
+      if (!invitee) {
+        return next(new AppError(`No invitee found with email ${email}`, 400));
+      }
+
+      // Invitees who have not joined yet are tagged once they accept
+      if (!invitee.user || invitee.status !== 'accepted') {
+        cluster.assignedInvitee = invitee._id;
+        cluster.assignedBy = req.user.id;
+        cluster.assignedAt = Date.now();
+        await cluster.save();
+
+        return res.status(202).json({
+          success: true,
+          data: cluster,
+          tagged: 0
+        });
+      }
+
+      assigneeId = invitee.user.toString();
+    }
+
+    if (!event.getParticipantIds().includes(assigneeId)) {
+      return next(new AppError('User is not a participant of this event', 400));
+    }
+
+    const tagged = await tagCluster(cluster, event, assigneeId, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: cluster,
+      tagged
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,192 @@
+const { AppError } = require('../utils/appError');
+const storage = require('../providers/storage');
+const { cropToBoundingBox } = require('../utils/image');
+const { createNotification } = require('./notificationController');
+const { releaseClusterFaces } = require('../utils/faceClusters');
+const { can } = require('../middleware/policy');
+
+/**
+ * Get the photo and event loaded by the policy middleware and one of the
+ * photo's detected faces
+ * @param {Object} req - Express request with the face ID in params
+ * @returns {Object} - { photo, event, face }
+ */
+const loadPhotoFace = (req) => {
+  const { photo, event } = req;
+  const face = photo.detectedFaces.id(req.params.faceId);
+
+  if (!face) {
+    throw new AppError(`Face not found with id of ${req.params.faceId}`, 404);
+  }
+
+  return { photo, event, face };
+};
+
+/**
+ * Tell a user they were tagged in a photo
+ * @param {string} userId - Tagged user ID
+ * @param {Object} event - Event document
+ * @param {Object} photo - Photo document
+ */
+const notifyTaggedUser = (userId, event, photo) => createNotification({
+  recipient: userId,
+  type: 'photo_tagged',
+  title: 'You were tagged in a photo',
+  message: `You were tagged in a photo from the event: ${event.name}`,
+  relatedEvent: event._id,
+  relatedPhoto: photo._id
+});
+
+/**
+ * @desc    Confirm a detected face's tag
+ * @route   PUT /api/photos/:id/faces/:faceId/confirm
+ * @access  Private
+ */
+exports.confirmFace = async (req, res, next) => {
+  try {
+    const { photo, event, face } = loadPhotoFace(req);
+
+    if (!face.user) {
+      return next(new AppError('Face is not tagged with a user', 400));
+    }
+
+    const isTaggedUser = face.user.toString() === req.user.id;
+
+    if (!isTaggedUser && !can(req.user, 'photo:tag', { event, photo })) {
+      return next(new AppError('Not authorized to confirm this tag', 403));
+    }
+
+    const wasConfirmed = face.status === 'confirmed';
+
+    face.status = 'confirmed';
+    face.confirmedBy = req.user.id;
+    face.confirmedAt = Date.now();
+    await photo.save();
+
+    // The tagged user only needs telling when someone else confirmed the tag
+    if (!wasConfirmed && !isTaggedUser) {
+      await notifyTaggedUser(face.user, event, photo);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: face
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Assign a detected face to an event participant
+ * @route   PUT /api/photos/:id/faces/:faceId/assign
+ * @access  Private
+ */
+exports.assignFace = async (req, res, next) => {
+  try {
+    const { userId } = req.body;
+    const { photo, event, face } = loadPhotoFace(req);
+
+    if (!event.getParticipantIds().includes(userId)) {
+      return next(new AppError('User is not a participant of this event', 400));
+    }
+
+    const taggedElsewhere = photo.detectedFaces.some(other =>
+      !other._id.equals(face._id) &&
+      other.user && other.user.toString() === userId &&
+      other.status !== 'unmatched'
+    );
+
+    if (taggedElsewhere) {
+      return next(new AppError('User is already tagged in this photo', 400));
+    }
+
+    const isNewTag = !face.user || face.user.toString() !== userId || face.status !== 'confirmed';
+
+    face.user = userId;
+    face.rejectedUsers.pull(userId);
+    face.faceId = null;
+    face.confidence = null;
+    face.status = 'confirmed';
+    face.source = 'manual';
+    face.confirmedBy = req.user.id;
+    face.confirmedAt = Date.now();
+    await releaseClusterFaces([face]);
+    await photo.save();
+
+    if (isNewTag && userId !== req.user.id) {
+      await notifyTaggedUser(userId, event, photo);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: face
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove the user from a detected face
+ * @route   DELETE /api/photos/:id/faces/:faceId/tag
+ * @access  Private
+ */
+exports.removeFaceTag = async (req, res, next) => {
+  try {
+    const { photo, event, face } = loadPhotoFace(req);
+
+    if (!face.user) {
+      return next(new AppError('Face is not tagged with a user', 400));
+    }
+
+    const isTaggedUser = face.user.toString() === req.user.id;
+
+    if (!isTaggedUser && !can(req.user, 'photo:tag', { event, photo })) {
+      return next(new AppError('Not authorized to remove this tag', 403));
+    }
+
+    // The removed user is never matched to this face automatically again
+    face.rejectedUsers.addToSet(face.user);
+
+    face.user = null;
+    face.faceId = null;
+    face.confidence = null;
+    face.status = 'unmatched';
+    face.source = 'manual';
+    face.confirmedBy = req.user.id;
+    face.confirmedAt = Date.now();
+    await photo.save();
+
+    res.status(200).json({
+      success: true,
+      data: face
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a crop of a detected face
+ * @route   GET /api/photos/:id/faces/:faceId/crop
+ * @access  Private (bearer token or signed URL)
+ */
+exports.getFaceCrop = async (req, res, next) => {
+  try {
+    const { photo, face } = loadPhotoFace(req);
+
+    const image = await storage.read(photo.filename);
+    const crop = await cropToBoundingBox(image, {
+      Width: face.boundingBox.width,
+      Height: face.boundingBox.height,
+      Left: face.boundingBox.left,
+      Top: face.boundingBox.top
+    });
+
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.type('jpeg').send(crop);
+  } catch (error) {
+    next(error);
+  }
+};
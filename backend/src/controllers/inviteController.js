@@ -1,9 +1,25 @@
 const Event = require('../models/Event');
 const User = require('../models/User');
 const { AppError } = require('../utils/appError');
-const { sendEmail } = require('../config/sendgrid');
+const { sendEmail, renderEmail } = require('../emails');
+const { getClientUrl } = require('../utils/appUrl');
 const { createNotification } = require('./notificationController');
 
+/**
+ * Get the invitation email template data of an event
+ * @param {Object} event - Event document with the creator populated
+ * @param {string} inviteUrl - Link the invitee follows to respond
+ * @returns {Object} - Template data
+ */
+const getInviteEmailData = (event, inviteUrl) => ({
+  eventName: event.name,
+  date: event.date,
+  location: event.location,
+  description: event.description,
+  hostName: event.creator.name,
+  inviteUrl
+});
+
 /**
  * @desc    Send event invitations
  * @route   POST /api/invite/:eventId
@@ -11,17 +27,7 @@ const { createNotification } = require('./notificationController');
  */
 exports.sendInvitations = async (req, res, next) => {
   try {
-    const event = await Event.findById(req.params.eventId)
-      .populate('creator', 'name email');
-    
-    if (!event) {
-      return next(new AppError(`Event not found with id of ${req.params.eventId}`, 404));
-    }
-    
-    // Check if user is event creator
-    if (event.creator._id.toString() !== req.user.id) {
-      return next(new AppError('Not authorized to send invitations for this event', 401));
-    }
+    const event = await req.event.populate('creator', 'name email');
     
     const { inviteeIds } = req.body;
     
@@ -30,6 +36,7 @@ exports.sendInvitations = async (req, res, next) => {
     }
     
     const sentInvitations = [];
+    const skippedInvitations = [];
     const failedInvitations = [];
     
     // Process each invitee
@@ -47,41 +54,48 @@ exports.sendInvitations = async (req, res, next) => {
       }
       
       // Prepare email content
-      const inviteUrl = `${req.protocol}://${req.get('host')}/events/${event._id}/join?code=${invitee.inviteCode}`;
+      const inviteUrl = `${getClientUrl()}/events/${event._id}/join?code=${invitee.inviteCode}`;
       
-      const emailContent = {
-        to: invitee.email,
-        subject: `You're invited to ${event.name}`,
-        html: `
-          <h1>You're invited to ${event.name}</h1>
-          <p><strong>Date:</strong> ${new Date(event.date).toLocaleDateString()}</p>
-          <p><strong>Location:</strong> ${event.location}</p>
-          <p><strong>Description:</strong> ${event.description || 'No description provided'}</p>
-          <p><strong>Host:</strong> ${event.creator.name}</p>
-          <p>Click the link below to view the event and respond:</p>
-          <a href="${inviteUrl}" style="padding: 10px 15px; background-color: #4CAF50; color: white; text-decoration: none; border-radius: 4px;">View Invitation</a>
-        `
+      const email = {
+        template: 'eventInvite',
+        data: getInviteEmailData(event, inviteUrl)
       };
       
       try {
-        // Send email
-        await sendEmail(emailContent);
+        // Users get the email with their notification, if they want it
+        let delivery = 'sent';
         
-        // Create notification
         if (invitee.user) {
-          await createNotification({
+          ({ delivery } = await createNotification({
             recipient: invitee.user,
             type: 'event_invite',
             title: `You're invited to ${event.name}`,
             message: `${event.creator.name} has invited you to ${event.name}`,
             relatedEvent: event._id
-          });
+          }, { email }));
+        } else {
+          await sendEmail({ to: invitee.email, ...email });
         }
         
-        sentInvitations.push({
-          id: inviteeId,
-          email: invitee.email
-        });
+        if (delivery === 'failed') {
+          failedInvitations.push({
+            id: inviteeId,
+            email: invitee.email,
+            reason: 'Failed to send email'
+          });
+        } else if (delivery === 'skipped') {
+          skippedInvitations.push({
+            id: inviteeId,
+            email: invitee.email,
+            reason: 'Invitee turned off invitation notifications'
+          });
+        } else {
+          sentInvitations.push({
+            id: inviteeId,
+            email: invitee.email,
+            channel: delivery === 'sent' ? 'email' : 'in_app'
+          });
+        }
       } catch (error) {
         console.error('Failed to send invitation:', error);
         failedInvitations.push({
@@ -95,6 +109,7 @@ exports.sendInvitations = async (req, res, next) => {
     res.status(200).json({
       success: true,
       sent: sentInvitations,
+      skipped: skippedInvitations,
       failed: failedInvitations
     });
   } catch (error) {
@@ -102,6 +117,32 @@ exports.sendInvitations = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Preview the invitation email of an event, as JSON with its
+ *          subject, text and HTML, or as the HTML page with ?format=html
+ * @route   GET /api/invite/:eventId/preview?format=
+ * @access  Private
+ */
+exports.previewInvitation = async (req, res, next) => {
+  try {
+    const event = await req.event.populate('creator', 'name');
+    
+    const inviteUrl = `${getClientUrl()}/events/${event._id}/join?code=preview`;
+    const email = renderEmail('eventInvite', getInviteEmailData(event, inviteUrl));
+    
+    if (req.query.format === 'html') {
+      return res.status(200).type('html').send(email.html);
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: email
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Verify invitation code
  * @route   GET /api/invite/verify/:eventId/:code
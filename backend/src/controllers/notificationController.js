@@ -1,22 +1,60 @@
 const Notification = require('../models/Notification');
+const User = require('../models/User');
 const { AppError } = require('../utils/appError');
-const { sendEmail } = require('../config/sendgrid');
+const { sendEmail } = require('../emails');
+const { html } = require('../emails/html');
+const { verifyPermanentSignature } = require('../utils/signedUrl');
+const { unsubscribeResource, sendUserEmail } = require('../utils/notificationEmail');
+const { queueNotificationDigest } = require('../jobs/notificationDigest');
+const { parsePage, paginate } = require('../utils/pagination');
+const { userChannel, publish } = require('../utils/realtime');
 
 /**
- * @desc    Create notification
+ * @desc    Create notification, delivering it the way the recipient prefers:
+ *          in the app, by email as well (right away, or in a digest for
+ *          tagged photos), or not at all
  * @param   {Object} notificationData - Notification data
- * @returns {Promise<Object>} - Created notification
+ * @param   {Object} [options] - Delivery options
+ * @param   {Object} [options.email] - Email template ({ template, data }) used
+ *          instead of the title and message
+ * @returns {Promise<Object>} - { notification, delivery }, where delivery is
+ *          sent or failed for emails, queued for digests, in_app when no
+ *          email was wanted, and skipped with a null notification when the
+ *          recipient turned this type off
  */
-exports.createNotification = async (notificationData) => {
+exports.createNotification = async (notificationData, options = {}) => {
   try {
+    const user = notificationData.recipient
+      ? await User.findById(notificationData.recipient)
+      : null;
+    const channel = user ? user.getNotificationChannel(notificationData.type) : 'in_app';
+    
+    if (channel === 'none') {
+      return { notification: null, delivery: 'skipped' };
+    }
+    
     const notification = await Notification.create(notificationData);
+    let delivery = 'in_app';
     
-    // Attempt to send email notification if recipient email is available
-    if (notification.email) {
-      await sendNotificationEmail(notification);
+    if (notification.recipient) {
+      publish(userChannel(notification.recipient), 'notification', notification);
     }
     
-    return notification;
+    if (channel === 'email') {
+      if (notification.type === 'photo_tagged' && user.notificationPreferences.digest !== 'off') {
+        notification.digestPending = true;
+        await notification.save();
+        await queueNotificationDigest(user);
+        delivery = 'queued';
+      } else {
+        delivery = await sendNotificationEmail(notification, user, options.email);
+      }
+    } else if (!user && notification.email) {
+      // Recipients without an account have no preferences
+      delivery = await sendNotificationEmail(notification, null, options.email);
+    }
+    
+    return { notification, delivery };
   } catch (error) {
     console.error('Error creating notification:', error);
     throw error;
@@ -26,43 +64,71 @@ exports.createNotification = async (notificationData) => {
 /**
  * @desc    Send notification email
  * @param   {Object} notification - Notification object
+ * @param   {Object|null} user - Recipient user, whose email gets an unsubscribe link
+ * @param   {Object} [email] - Email template ({ template, data }), instead of the title and message
+ * @returns {Promise<string>} - sent, or failed if the email could not be sent
  */
-const sendNotificationEmail = async (notification) => {
+const sendNotificationEmail = async (notification, user, email) => {
   try {
-    const emailContent = {
-      to: notification.email,
-      subject: notification.title,
-      html: `
-        <h1>${notification.title}</h1>
-        <p>${notification.message}</p>
-      `
+    const { template, data } = email || {
+      template: 'notification',
+      data: { title: notification.title, message: notification.message }
     };
     
-    await sendEmail(emailContent);
+    if (user) {
+      await sendUserEmail(user, notification.type, template, data);
+    } else {
+      await sendEmail({ to: notification.email, template, data });
+    }
     
     // Update notification as sent
     notification.isSent = true;
     await notification.save();
+    
+    return 'sent';
   } catch (error) {
     console.error('Error sending notification email:', error);
+    return 'failed';
   }
 };
 
+// Fields notification lists can be sorted on
+const NOTIFICATION_SORT_FIELDS = {
+  createdAt: 'date'
+};
+
+exports.NOTIFICATION_SORT_FIELDS = NOTIFICATION_SORT_FIELDS;
+
 /**
  * @desc    Get user notifications
- * @route   GET /api/notifications
+ * @route   GET /api/notifications?sort=&limit=&cursor=&unread=&type=
  * @access  Private
  */
 exports.getUserNotifications = async (req, res, next) => {
   try {
-    const notifications = await Notification.find({ recipient: req.user.id })
+    const filter = { recipient: req.user.id };
+    
+    if (req.query.unread === 'true') {
+      filter.isRead = false;
+    }
+    
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+    
+    const page = parsePage(req.query, {
+      sortFields: NOTIFICATION_SORT_FIELDS,
+      defaultSort: '-createdAt'
+    });
+    
+    const { data: notifications, pagination } = await paginate(Notification, filter, page, notificationsQuery => notificationsQuery
       .populate('relatedEvent', 'name date')
-      .populate('relatedPhoto', 'filename')
-      .sort({ createdAt: -1 });
+      .populate('relatedPhoto', 'filename'));
     
     res.status(200).json({
       success: true,
       count: notifications.length,
+      pagination,
       data: notifications
     });
   } catch (error) {
@@ -127,4 +193,138 @@ exports.deleteNotification = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+// Notification types users choose a channel for
+const PREFERENCE_TYPES = ['event_invite', 'photo_tagged', 'event_reminder', 'system'];
+
+exports.PREFERENCE_TYPES = PREFERENCE_TYPES;
+
+/**
+ * @desc    Get the user's notification preferences
+ * @route   GET /api/notifications/preferences
+ * @access  Private
+ */
+exports.getNotificationPreferences = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: req.user.notificationPreferences
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update the user's notification preferences
+ * @route   PUT /api/notifications/preferences
+ * @access  Private
+ */
+exports.updateNotificationPreferences = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    
+    for (const key of [...PREFERENCE_TYPES, 'digest']) {
+      if (req.body[key] !== undefined) {
+        user.notificationPreferences[key] = req.body[key];
+      }
+    }
+    
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      data: user.notificationPreferences
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load the user of a signed unsubscribe link
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} - User, or null if the link is invalid
+ */
+const loadUnsubscribeUser = async (req) => {
+  const { userId, type } = req.params;
+  
+  if (!verifyPermanentSignature(unsubscribeResource(userId, type), req.query.signature)) {
+    return null;
+  }
+  
+  return User.findById(userId);
+};
+
+/**
+ * @desc    Show the page of an unsubscribe link in an email. Opening the
+ *          link changes nothing, as link scanners and mail clients open it
+ *          too; the page's button unsubscribes.
+ * @route   GET /api/notifications/unsubscribe/:userId/:type?signature=
+ * @access  Public (signed link)
+ */
+exports.getUnsubscribePage = async (req, res, next) => {
+  try {
+    const user = await loadUnsubscribeUser(req);
+    
+    if (!user) {
+      return next(new AppError('Invalid unsubscribe link', 401));
+    }
+    
+    const what = req.params.type === 'all' ? 'notification emails' : 'these emails';
+    
+    res.status(200).type('html').send(html`
+      <h1>Unsubscribe</h1>
+      <p>Stop getting ${what}? Notifications still appear in the app, where you can change your preferences.</p>
+      <form method="post" action="${req.originalUrl}">
+        <button type="submit">Unsubscribe</button>
+      </form>
+    `.toString());
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Stop emails of a notification type, or of every type. Posted by
+ *          the unsubscribe page, and by mail clients as the one-click
+ *          unsubscribe of the List-Unsubscribe-Post header.
+ * @route   POST /api/notifications/unsubscribe/:userId/:type?signature=
+ * @access  Public (signed link)
+ */
+exports.unsubscribe = async (req, res, next) => {
+  try {
+    const user = await loadUnsubscribeUser(req);
+    
+    if (!user) {
+      return next(new AppError('Invalid unsubscribe link', 401));
+    }
+    
+    const { type } = req.params;
+    const types = type === 'all' ? PREFERENCE_TYPES : [type];
+    
+    // Notifications still show in the app
+    for (const preferenceType of types) {
+      if (user.notificationPreferences[preferenceType] === 'email') {
+        user.notificationPreferences[preferenceType] = 'in_app';
+      }
+    }
+    
+    await user.save();
+    
+    // Browsers posting the page's form get a page back
+    if (req.accepts(['json', 'html']) === 'html') {
+      return res.status(200).type('html').send(html`
+        <h1>You have been unsubscribed</h1>
+        <p>You will no longer get these emails. Notifications still appear in the app, where you can change your preferences.</p>
+      `.toString());
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: user.notificationPreferences
+    });
+  } catch (error) {
+    next(error);
+  }
+};
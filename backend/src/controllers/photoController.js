@@ -1,11 +1,40 @@
-const fs = require('fs');
-const path = require('path');
 const Photo = require('../models/Photo');
 const Event = require('../models/Event');
-const User = require('../models/User');
 const { AppError } = require('../utils/appError');
-const { detectFaces, searchFaces } = require('../utils/rekognition');
-const { createNotification } = require('./notificationController');
+const storage = require('../providers/storage');
+const { sendStoredFile } = require('../utils/sendStoredFile');
+const { createTarWriter } = require('../utils/tarArchive');
+const { parsePage, dateRange, paginate } = require('../utils/pagination');
+const { buildSignedUrl } = require('../utils/signedUrl');
+const { extractMetadata, computeImageHashes, hashDistance } = require('../utils/image');
+const { queuePhotoProcessing } = require('../jobs/processPhoto');
+const { queueVariantGeneration, removePhotoVariants } = require('../jobs/generateVariants');
+const { releaseClusterFaces } = require('../utils/faceClusters');
+const { eventChannel, publish } = require('../utils/realtime');
+
+// Largest perceptual hash distance at which two photos count as near duplicates
+const NEAR_DUPLICATE_DISTANCE = parseInt(process.env.NEAR_DUPLICATE_DISTANCE, 10) || 5;
+
+/**
+ * Find an event photo that an upload duplicates
+ * @param {Object[]} eventPhotos - Photos already in the event, with hashes
+ * @param {Object} hashes - Hashes of the upload
+ * @returns {Object|null} - { photo, type } where type is exact or near
+ */
+const findDuplicate = (eventPhotos, hashes) => {
+  const exact = eventPhotos.find(photo => photo.contentHash === hashes.contentHash);
+  if (exact) {
+    return { photo: exact, type: 'exact' };
+  }
+  
+  const near = eventPhotos.find(photo => photo.perceptualHash &&
+    hashDistance(photo.perceptualHash, hashes.perceptualHash) <= NEAR_DUPLICATE_DISTANCE);
+  if (near) {
+    return { photo: near, type: 'near' };
+  }
+  
+  return null;
+};
 
 /**
  * @desc    Upload photos to event
@@ -18,179 +47,317 @@ exports.uploadPhotos = async (req, res, next) => {
       return next(new AppError('Please upload at least one photo', 400));
     }
     
-    const event = await Event.findById(req.params.eventId);
-    
-    if (!event) {
-      return next(new AppError(`Event not found with id of ${req.params.eventId}`, 404));
-    }
-    
-    // Check if user is creator or invitee
-    const isCreator = event.creator.toString() === req.user.id;
-    const isInvitee = event.invitees.some(invitee => 
-      invitee.user && invitee.user.toString() === req.user.id
-    );
+    const { event } = req;
     
-    if (!isCreator && !isInvitee) {
-      return next(new AppError('Not authorized to upload photos to this event', 401));
-    }
+    // Hashes of photos already in the event, to detect duplicates
+    const eventPhotos = await Photo.find({ event: event._id })
+      .select('contentHash perceptualHash duplicateOf');
     
     // Save photo information
     const uploadedPhotos = [];
+    const rejectedPhotos = [];
+    const mergedPhotos = [];
     
     for (const file of req.files) {
+      let metadata;
+      let hashes = {};
+      try {
+        metadata = await extractMetadata(file.buffer);
+        hashes = await computeImageHashes(file.buffer);
+      } catch (error) {
+        console.error(`Error reading metadata of ${file.originalname}:`, error);
+      }
+      
+      const duplicate = hashes.contentHash ? findDuplicate(eventPhotos, hashes) : null;
+      // Point at the first copy rather than at another duplicate
+      const duplicateOf = duplicate
+        ? duplicate.photo.duplicateOf || duplicate.photo._id
+        : null;
+      
+      if (duplicate && event.duplicatePolicy === 'reject') {
+        await storage.remove(file.filename);
+        rejectedPhotos.push({
+          originalName: file.originalname,
+          duplicateOf,
+          duplicateType: duplicate.type
+        });
+        continue;
+      }
+      
+      if (duplicate && event.duplicatePolicy === 'merge') {
+        await storage.remove(file.filename);
+        await Photo.updateOne({ _id: duplicateOf }, {
+          $push: {
+            mergedUploads: {
+              uploader: req.user.id,
+              originalName: file.originalname,
+              duplicateType: duplicate.type
+            }
+          }
+        });
+        mergedPhotos.push({
+          originalName: file.originalname,
+          mergedInto: duplicateOf,
+          duplicateType: duplicate.type
+        });
+        continue;
+      }
+      
       const photo = await Photo.create({
         filename: file.filename,
         originalName: file.originalname,
-        path: file.path,
         size: file.size,
         mimetype: file.mimetype,
         event: req.params.eventId,
-        uploader: req.user.id
+        uploader: req.user.id,
+        metadata,
+        takenAt: metadata && metadata.capturedAt ? metadata.capturedAt : Date.now(),
+        contentHash: hashes.contentHash,
+        perceptualHash: hashes.perceptualHash,
+        duplicateOf,
+        duplicateType: duplicate ? duplicate.type : null
       });
       
       uploadedPhotos.push(photo);
+      eventPhotos.push(photo);
       
-      // Process photo asynchronously
-      processPhoto(photo._id);
+      // Queue face processing and variant generation in the background
+      await queuePhotoProcessing(photo._id);
+      await queueVariantGeneration(photo._id);
     }
     
-    res.status(201).json({
+    // Let members viewing the album know to fetch the new photos
+    if (uploadedPhotos.length > 0) {
+      publish(eventChannel(event._id), 'photos_uploaded', {
+        event: event._id,
+        uploader: req.user.id,
+        photos: uploadedPhotos.map(photo => photo._id)
+      });
+    }
+    
+    res.status(uploadedPhotos.length > 0 ? 201 : 200).json({
       success: true,
       count: uploadedPhotos.length,
-      data: uploadedPhotos
+      data: uploadedPhotos,
+      rejected: rejectedPhotos,
+      merged: mergedPhotos
     });
   } catch (error) {
     next(error);
   }
 };
 
+// Fields photo lists can be sorted on; a leading "-" sorts newest first
+const PHOTO_SORT_FIELDS = {
+  uploadedAt: 'date',
+  takenAt: 'date'
+};
+
+exports.PHOTO_SORT_FIELDS = PHOTO_SORT_FIELDS;
+
 /**
- * Process photo to detect and recognize faces
- * @param {string} photoId - ID of the photo to process
+ * @desc    Get event photos
+ * @route   GET /api/photos/event/:eventId?sort=&limit=&cursor=&uploader=&taggedUser=&takenFrom=&takenTo=&processed=
+ * @access  Private
  */
-const processPhoto = async (photoId) => {
+exports.getEventPhotos = async (req, res, next) => {
   try {
-    const photo = await Photo.findById(photoId);
+    const { event } = req;
+    const filter = { event: event._id };
+    const takenAt = dateRange(req.query.takenFrom, req.query.takenTo);
     
-    if (!photo) {
-      console.error(`Photo not found with id: ${photoId}`);
-      return;
+    if (takenAt) {
+      filter.takenAt = takenAt;
     }
     
-    // Get event to access invitees
-    const event = await Event.findById(photo.event)
-      .populate('creator')
-      .populate('invitees.user');
-    
-    if (!event) {
-      console.error(`Event not found for photo: ${photoId}`);
-      return;
+    if (req.query.uploader) {
+      filter.uploader = req.query.uploader;
     }
     
-    // Detect faces in the photo
-    const detectResult = await detectFaces(photo.path);
-    
-    if (!detectResult.FaceDetails || detectResult.FaceDetails.length === 0) {
-      // No faces detected
-      photo.isProcessed = true;
-      await photo.save();
-      return;
+    // Suggested matches do not count as tags
+    if (req.query.taggedUser) {
+      filter.detectedFaces = {
+        $elemMatch: {
+          user: req.query.taggedUser,
+          status: { $ne: 'suggested' }
+        }
+      };
     }
     
-    // Search for each detected face in the collection
-    const searchResult = await searchFaces(photo.path);
-    
-    if (searchResult.FaceMatches && searchResult.FaceMatches.length > 0) {
-      // Process face matches
-      for (const match of searchResult.FaceMatches) {
-        const faceId = match.Face.FaceId;
-        const userId = match.Face.ExternalImageId;
-        const user = await User.findById(userId);
-        
-        if (user) {
-          // Add face to photo's detected faces
-          photo.detectedFaces.push({
-            faceId,
-            user: userId,
-            boundingBox: match.Face.BoundingBox,
-            confidence: match.Similarity
-          });
-          
-          // Create notification for the user
-          await createNotification({
-            recipient: userId,
-            type: 'photo_tagged',
-            title: 'You were recognized in a photo',
-            message: `You were recognized in a photo from the event: ${event.name}`,
-            relatedEvent: event._id,
-            relatedPhoto: photo._id
-          });
-        }
-      }
+    if (req.query.processed) {
+      filter.isProcessed = req.query.processed === 'true';
     }
     
-    photo.isProcessed = true;
-    await photo.save();
+    const page = parsePage(req.query, {
+      sortFields: PHOTO_SORT_FIELDS,
+      defaultSort: '-uploadedAt'
+    });
+    
+    const { data: photos, pagination } = await paginate(Photo, filter, page, photosQuery => {
+      photosQuery
+        .populate('uploader', 'name email')
+        .populate('detectedFaces.user', 'name email');
+      
+      return event.stripGpsMetadata ? photosQuery.select('-metadata.gps') : photosQuery;
+    });
+    
+    res.status(200).json({
+      success: true,
+      count: photos.length,
+      pagination,
+      data: photos
+    });
   } catch (error) {
-    console.error('Error processing photo:', error);
+    next(error);
   }
 };
 
 /**
- * @desc    Get event photos
- * @route   GET /api/photos/event/:eventId
+ * @desc    Get duplicate photos in an event
+ * @route   GET /api/photos/event/:eventId/duplicates
  * @access  Private
  */
-exports.getEventPhotos = async (req, res, next) => {
+exports.getEventDuplicates = async (req, res, next) => {
   try {
-    const event = await Event.findById(req.params.eventId);
+    const { event } = req;
     
-    if (!event) {
-      return next(new AppError(`Event not found with id of ${req.params.eventId}`, 404));
-    }
-    
-    // Check if user is creator or invitee
-    const isCreator = event.creator.toString() === req.user.id;
-    const isInvitee = event.invitees.some(invitee => 
-      invitee.user && invitee.user.toString() === req.user.id
-    );
-    
-    if (!isCreator && !isInvitee && event.isPrivate) {
-      return next(new AppError('Not authorized to access photos from this event', 401));
-    }
+    // Photos that have flagged copies or merged uploads
+    const flaggedPhotos = await Photo.find({
+      event: event._id,
+      duplicateOf: { $ne: null }
+    })
+      .populate('uploader', 'name email')
+      .sort({ uploadedAt: 1 });
     
-    const photos = await Photo.find({ event: req.params.eventId })
+    const originalIds = flaggedPhotos.map(photo => photo.duplicateOf);
+    const originals = await Photo.find({
+      event: event._id,
+      $or: [
+        { _id: { $in: originalIds } },
+        { 'mergedUploads.0': { $exists: true } }
+      ]
+    })
       .populate('uploader', 'name email')
-      .populate('detectedFaces.user', 'name email')
-      .sort({ uploadedAt: -1 });
+      .populate('mergedUploads.uploader', 'name email');
+    
+    const groups = originals.map(original => ({
+      photo: original,
+      duplicates: flaggedPhotos.filter(photo => photo.duplicateOf.equals(original._id)),
+      mergedUploads: original.mergedUploads
+    }));
     
     res.status(200).json({
       success: true,
-      count: photos.length,
-      data: photos
+      count: groups.length,
+      data: groups
     });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * @desc    Download every photo of an event as a tar archive
+ * @route   GET /api/photos/event/:eventId/archive
+ * @access  Private
+ */
+exports.getEventArchive = async (req, res, next) => {
+  try {
+    const { event } = req;
+    
+    const photos = await Photo.find({ event: event._id })
+      .select('filename originalName mimetype metadata variants takenAt uploadedAt')
+      .sort({ takenAt: 1, uploadedAt: 1 });
+    
+    const archiveName = event.name.replace(/[^\w.-]+/g, '_') || 'event';
+    
+    res.set('Cache-Control', 'private, no-store');
+    res.attachment(`${archiveName}.tar`);
+    
+    const tar = createTarWriter(res);
+    
+    for (const [index, photo] of photos.entries()) {
+      const file = photo.getVariantFile('original', 'jpeg', {
+        stripGps: event.stripGpsMetadata
+      });
+      
+      // Photos whose location cannot be removed yet are left out
+      if (!file) {
+        continue;
+      }
+      
+      const number = String(index + 1).padStart(4, '0');
+      const name = `${number}-${photo.originalName.replace(/[^\w.-]+/g, '_')}`.slice(0, 100);
+      
+      await tar.addFile(name, await storage.read(file.key), photo.takenAt || photo.uploadedAt);
+    }
+    
+    await tar.finish();
+  } catch (error) {
+    // Once streaming has started the only way to signal an error is to cut
+    // the download short
+    if (res.headersSent) {
+      console.error('Error streaming event archive:', error);
+      res.destroy(error);
+      return;
+    }
+    next(error);
+  }
+};
+
 /**
  * @desc    Get photos with user's face
- * @route   GET /api/photos/user
+ * @route   GET /api/photos/user?sort=&limit=&cursor=&event=&takenFrom=&takenTo=
  * @access  Private
  */
 exports.getUserPhotos = async (req, res, next) => {
   try {
-    const photos = await Photo.find({
-      'detectedFaces.user': req.user.id
-    })
-      .populate('event', 'name date')
-      .populate('uploader', 'name email')
-      .sort({ uploadedAt: -1 });
+    // Photos of deleted events are hidden until they are purged
+    const deletedEventIds = await Event.find({
+      'deletion.scheduledAt': { $lte: Date.now() }
+    }).distinct('_id');
+    
+    // Suggested matches are not shown until they are confirmed
+    const filter = {
+      event: { $nin: deletedEventIds },
+      detectedFaces: {
+        $elemMatch: {
+          user: req.user.id,
+          status: { $ne: 'suggested' }
+        }
+      }
+    };
+    
+    if (req.query.event) {
+      filter.event.$eq = req.query.event;
+    }
+    
+    const takenAt = dateRange(req.query.takenFrom, req.query.takenTo);
+    
+    if (takenAt) {
+      filter.takenAt = takenAt;
+    }
+    
+    const page = parsePage(req.query, {
+      sortFields: PHOTO_SORT_FIELDS,
+      defaultSort: '-uploadedAt'
+    });
+    
+    const { data: photos, pagination } = await paginate(Photo, filter, page, photosQuery => photosQuery
+      .populate('event', 'name date stripGpsMetadata')
+      .populate('uploader', 'name email'));
+    
+    // Hide GPS positions of photos from events that strip them
+    for (const photo of photos) {
+      if (photo.event && photo.event.stripGpsMetadata) {
+        photo.metadata.gps = undefined;
+      }
+    }
     
     res.status(200).json({
       success: true,
       count: photos.length,
+      pagination,
       data: photos
     });
   } catch (error) {
@@ -205,37 +372,93 @@ exports.getUserPhotos = async (req, res, next) => {
  */
 exports.deletePhoto = async (req, res, next) => {
   try {
-    const photo = await Photo.findById(req.params.id);
+    const { photo } = req;
     
-    if (!photo) {
-      return next(new AppError(`Photo not found with id of ${req.params.id}`, 404));
-    }
+    // Stop background jobs from storing more files for the photo
+    await Photo.updateOne({ _id: photo._id }, { deletingAt: Date.now() });
     
-    // Get the event
-    const event = await Event.findById(photo.event);
+    // Delete photo file and its variants from storage
+    await storage.remove(photo.filename);
+    await removePhotoVariants(photo);
     
-    if (!event) {
-      return next(new AppError('Associated event not found', 404));
-    }
+    // Delete unidentified faces from the face collection
+    await releaseClusterFaces(photo.detectedFaces);
     
-    // Check if user is uploader or event creator
-    const isUploader = photo.uploader.toString() === req.user.id;
-    const isEventCreator = event.creator.toString() === req.user.id;
+    await photo.deleteOne();
     
-    if (!isUploader && !isEventCreator) {
-      return next(new AppError('Not authorized to delete this photo', 401));
-    }
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Queue a photo for face processing again
+ * @route   POST /api/photos/:id/reprocess
+ * @access  Private
+ */
+exports.reprocessPhoto = async (req, res, next) => {
+  try {
+    const { photo } = req;
+    
+    const job = await queuePhotoProcessing(photo._id);
+    
+    res.status(202).json({
+      success: true,
+      data: {
+        photo: photo._id,
+        job: job._id,
+        processingStatus: 'queued'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get photo file, optionally as a resized variant
+ * @route   GET /api/photos/:id/file?variant=thumbnail|medium|original&format=jpeg|webp
+ * @access  Private (bearer token or signed URL)
+ */
+exports.getPhotoFile = async (req, res, next) => {
+  try {
+    const { photo, event } = req;
+    
+    const file = photo.getVariantFile(req.query.variant, req.query.format, {
+      stripGps: event.stripGpsMetadata
+    });
     
-    // Delete photo file from filesystem
-    if (fs.existsSync(photo.path)) {
-      fs.unlinkSync(photo.path);
+    if (!file) {
+      return next(new AppError('Photo is still being prepared, please try again shortly', 503));
     }
     
-    await photo.deleteOne();
+    await sendStoredFile(req, res, file.key, { contentType: file.contentType });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a short-lived signed URL for a photo file
+ * @route   GET /api/photos/:id/file/url
+ * @access  Private
+ */
+exports.getPhotoFileUrl = async (req, res, next) => {
+  try {
+    const { photo } = req;
+    
+    const signedUrl = buildSignedUrl(
+      `${req.protocol}://${req.get('host')}/api/photos/${photo._id}/file`,
+      `photo:${photo._id}`
+    );
     
     res.status(200).json({
       success: true,
-      data: {}
+      data: signedUrl
     });
   } catch (error) {
     next(error);
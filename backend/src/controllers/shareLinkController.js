@@ -0,0 +1,244 @@
+const path = require('path');
+const ShareLink = require('../models/ShareLink');
+const Photo = require('../models/Photo');
+const { AppError } = require('../utils/appError');
+const { sendStoredFile } = require('../utils/sendStoredFile');
+const { buildSignedUrl } = require('../utils/signedUrl');
+const { getClientUrl } = require('../utils/appUrl');
+
+// Lifetime of a share link when no expiry is given, and the longest allowed
+const DEFAULT_EXPIRES_DAYS = parseInt(process.env.SHARE_LINK_EXPIRES_DAYS, 10) || 7;
+const MAX_EXPIRES_DAYS = parseInt(process.env.SHARE_LINK_MAX_DAYS, 10) || 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build the query for the photos a share link exposes
+ * @param {Object} shareLink - ShareLink document
+ * @returns {Object} - Photo query
+ */
+const sharedPhotosQuery = (shareLink) => {
+  const query = { event: shareLink.event };
+
+  if (shareLink.photos.length > 0) {
+    query._id = { $in: shareLink.photos };
+  }
+
+  return query;
+};
+
+/**
+ * @desc    Create a share link for an event album
+ * @route   POST /api/events/:id/share-links
+ * @access  Private (owner only)
+ */
+exports.createShareLink = async (req, res, next) => {
+  try {
+    const { event } = req;
+    const { password, allowDownload, photoIds } = req.body;
+
+    const expiresAt = req.body.expiresAt
+      ? new Date(req.body.expiresAt)
+      : new Date(Date.now() + DEFAULT_EXPIRES_DAYS * DAY_MS);
+
+    if (expiresAt <= Date.now()) {
+      return next(new AppError('Expiry must be in the future', 400));
+    }
+
+    if (expiresAt > Date.now() + MAX_EXPIRES_DAYS * DAY_MS) {
+      return next(new AppError(`Share links cannot last longer than ${MAX_EXPIRES_DAYS} days`, 400));
+    }
+
+    let photos = [];
+
+    if (photoIds) {
+      photos = [...new Set(photoIds)];
+
+      const found = await Photo.countDocuments({ _id: { $in: photos }, event: event._id });
+
+      if (found !== photos.length) {
+        return next(new AppError('All photos must belong to this event', 400));
+      }
+    }
+
+    const token = ShareLink.generateToken();
+
+    const shareLink = await ShareLink.create({
+      event: event._id,
+      createdBy: req.user.id,
+      tokenHash: ShareLink.hashToken(token),
+      password: password || undefined,
+      allowDownload: Boolean(allowDownload),
+      photos,
+      expiresAt
+    });
+
+    // The token cannot be recovered later, so it is only returned here
+    res.status(201).json({
+      success: true,
+      data: {
+        ...shareLink.toObject(),
+        password: undefined,
+        tokenHash: undefined,
+        token,
+        url: `${getClientUrl()}/share/${token}`
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get an event's share links
+ * @route   GET /api/events/:id/share-links
+ * @access  Private (owner only)
+ */
+exports.getShareLinks = async (req, res, next) => {
+  try {
+    const shareLinks = await ShareLink.find({ event: req.event._id })
+      .populate('createdBy', 'name email')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: shareLinks.length,
+      data: shareLinks.map(shareLink => ({
+        ...shareLink.toObject(),
+        isActive: shareLink.isActive()
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke a share link
+ * @route   DELETE /api/events/:id/share-links/:linkId
+ * @access  Private (owner only)
+ */
+exports.revokeShareLink = async (req, res, next) => {
+  try {
+    const shareLink = await ShareLink.findOne({
+      _id: req.params.linkId,
+      event: req.event._id
+    });
+
+    if (!shareLink) {
+      return next(new AppError(`Share link not found with id of ${req.params.linkId}`, 404));
+    }
+
+    if (!shareLink.revokedAt) {
+      shareLink.revokedAt = Date.now();
+      await shareLink.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: shareLink
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a shared album
+ * @route   GET /api/share/:token
+ * @access  Public (share link, plus X-Share-Password if it has a password)
+ */
+exports.getSharedAlbum = async (req, res, next) => {
+  try {
+    const { shareLink, event } = req;
+
+    const photos = await Photo.find(sharedPhotosQuery(shareLink))
+      .select('uploadedAt takenAt')
+      .sort({ takenAt: 1, uploadedAt: 1 });
+
+    ShareLink.updateOne(
+      { _id: shareLink._id },
+      { $inc: { accessCount: 1 }, lastAccessedAt: Date.now() }
+    ).catch(error => console.error('Error recording share link access:', error));
+
+    const baseUrl = `${req.protocol}://${req.get('host')}/api/share/${req.params.token}/photos`;
+    const variants = shareLink.allowDownload
+      ? ['thumbnail', 'medium', 'original']
+      : ['thumbnail', 'medium'];
+
+    res.status(200).json({
+      success: true,
+      data: {
+        event: {
+          name: event.name,
+          description: event.description,
+          date: event.date,
+          location: event.location
+        },
+        allowDownload: shareLink.allowDownload,
+        expiresAt: shareLink.expiresAt,
+        count: photos.length,
+        photos: photos.map(photo => {
+          // Signed URLs let image tags load files without the password
+          const { url, expiresAt } = buildSignedUrl(
+            `${baseUrl}/${photo._id}/file`,
+            shareLink.getPhotoResource(photo._id)
+          );
+
+          return {
+            _id: photo._id,
+            uploadedAt: photo.uploadedAt,
+            takenAt: photo.takenAt,
+            urls: Object.fromEntries(variants.map(name => [name, `${url}&variant=${name}`])),
+            urlsExpireAt: expiresAt
+          };
+        })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a shared photo file
+ * @route   GET /api/share/:token/photos/:photoId/file?variant=thumbnail|medium|original&format=jpeg|webp
+ * @access  Public (share link, plus X-Share-Password or a signed URL)
+ */
+exports.getSharedPhotoFile = async (req, res, next) => {
+  try {
+    const { shareLink } = req;
+    const variant = req.query.variant || 'medium';
+    const format = req.query.format || 'jpeg';
+
+    if (variant === 'original' && !shareLink.allowDownload) {
+      return next(new AppError('This share link does not allow downloads', 403));
+    }
+
+    const photo = shareLink.includesPhoto(req.params.photoId)
+      ? await Photo.findOne({ _id: req.params.photoId, event: shareLink.event })
+      : null;
+
+    if (!photo) {
+      return next(new AppError(`Photo not found with id of ${req.params.photoId}`, 404));
+    }
+
+    // Resized variants only, never the unprocessed upload; originals always
+    // have their location removed
+    const isReady = variant === 'original' ||
+      photo.variants.some(v => v.name === variant && v.format === format);
+    const file = isReady && photo.getVariantFile(variant, format, { stripGps: true });
+
+    if (!file) {
+      return next(new AppError('Photo is still being prepared, please try again shortly', 503));
+    }
+
+    if (variant === 'original') {
+      res.attachment(`photo-${photo._id}${path.extname(file.key)}`);
+    }
+
+    await sendStoredFile(req, res, file.key, { contentType: file.contentType });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,205 @@
+const User = require('../models/User');
+const Event = require('../models/Event');
+const { AppError } = require('../utils/appError');
+const { buildSignedUrl } = require('../utils/signedUrl');
+const { checkSession } = require('../middleware/auth');
+const { checkPolicy } = require('../middleware/policy');
+const { userChannel, eventChannel, subscribe } = require('../utils/realtime');
+
+// Comment lines sent to keep idle connections open through proxies. The
+// session is checked again at the same interval.
+const HEARTBEAT_MS = parseInt(process.env.STREAM_HEARTBEAT_MS, 10) || 25000;
+
+// Events one stream can follow
+const MAX_STREAM_EVENTS = 20;
+
+/**
+ * Get the resource a stream URL is signed for. The session it was signed
+ * in is part of it, so the stream ends with the session.
+ * @param {string} userId - User ID
+ * @param {string} [sessionId] - Session ID
+ * @param {number|string} [tokenVersion] - User's token version
+ * @returns {string}
+ */
+exports.streamResource = (userId, sessionId = '', tokenVersion = 0) =>
+  `stream:${userId}:${sessionId}:${tokenVersion}`;
+
+/**
+ * @desc    Get a short-lived signed URL for the update stream, for clients
+ *          such as EventSource that cannot send an Authorization header
+ * @route   GET /api/stream/url
+ * @access  Private
+ */
+exports.getStreamUrl = async (req, res, next) => {
+  try {
+    const sessionId = req.sessionId || '';
+    const tokenVersion = req.user.tokenVersion;
+    const signedUrl = buildSignedUrl(
+      `${req.protocol}://${req.get('host')}/api/stream/${req.user.id}?session=${sessionId}&tv=${tokenVersion}`,
+      exports.streamResource(req.user.id, sessionId, tokenVersion)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: signedUrl
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check whether a user may still follow an event
+ * @param {Object} user - User document
+ * @param {string} eventId - Event ID
+ * @returns {Promise<AppError|null>} - Error, or null if allowed
+ */
+const checkEventAccess = async (user, eventId) => {
+  const event = await Event.findById(eventId);
+
+  if (!event || event.isDeleted()) {
+    return new AppError(`Event not found with id of ${eventId}`, 404);
+  }
+
+  return checkPolicy(user, 'photo:view', { event });
+};
+
+/**
+ * @desc    Stream real-time updates as Server-Sent Events: the user's new
+ *          notifications and photo processing results, plus uploads and
+ *          processing results in the events listed in ?events=. The stream
+ *          is closed when the session ends, and an event is unfollowed when
+ *          the user can no longer view it.
+ * @route   GET /api/stream/:userId?events=<id>,<id>
+ * @access  Private (bearer token or signed URL)
+ */
+exports.openStream = async (req, res, next) => {
+  try {
+    // Signed URLs name the user; bearer tokens must match the URL
+    const user = req.signedAccess ? await User.findById(req.params.userId) : req.user;
+
+    if (!user || user.id !== req.params.userId) {
+      return next(new AppError('Not authorized to open this stream', 403));
+    }
+
+    const sessionId = req.signedAccess ? req.query.session : req.sessionId;
+    const tokenVersion = req.signedAccess ? parseInt(req.query.tv, 10) || 0 : user.tokenVersion;
+
+    // Bearer tokens were checked by protect; signed URLs may outlive the session
+    if (req.signedAccess) {
+      const sessionError = await checkSession(user, tokenVersion, sessionId);
+
+      if (sessionError) {
+        return next(sessionError);
+      }
+    }
+
+    const eventIds = req.query.events ? [...new Set(req.query.events.split(','))] : [];
+
+    if (eventIds.length > MAX_STREAM_EVENTS) {
+      return next(new AppError(`A stream can follow at most ${MAX_STREAM_EVENTS} events`, 400));
+    }
+
+    for (const eventId of eventIds) {
+      const error = await checkEventAccess(user, eventId);
+
+      if (error) {
+        return next(error);
+      }
+    }
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const followedEvents = new Set(eventIds);
+    let closed = false;
+    // Messages and checks are handled one at a time, in order
+    let pending = Promise.resolve();
+
+    const send = (type, data) => {
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const close = (reason) => {
+      if (!closed) {
+        closed = true;
+        send('stream_closed', { reason });
+        res.end();
+      }
+    };
+
+    // Get the user again, or close the stream if their session ended
+    const loadActiveUser = async () => {
+      const currentUser = await User.findById(user.id);
+      const sessionError = currentUser
+        ? await checkSession(currentUser, tokenVersion, sessionId)
+        : new AppError('User no longer exists', 401);
+
+      if (sessionError) {
+        close(sessionError.message);
+        return null;
+      }
+
+      return currentUser;
+    };
+
+    const handleMessage = async ({ type, data, channels }) => {
+      const currentUser = await loadActiveUser();
+
+      if (!currentUser) {
+        return;
+      }
+
+      let allowed = channels.includes(userChannel(user.id));
+
+      for (const eventId of followedEvents) {
+        if (allowed || !channels.includes(eventChannel(eventId))) {
+          continue;
+        }
+
+        if (await checkEventAccess(currentUser, eventId)) {
+          followedEvents.delete(eventId);
+          send('event_unfollowed', { event: eventId });
+        } else {
+          allowed = true;
+        }
+      }
+
+      if (allowed) {
+        send(type, data);
+      }
+    };
+
+    const enqueue = (task) => {
+      pending = pending
+        .then(() => (closed ? null : task()))
+        .catch(error => console.error('Error handling stream update:', error));
+    };
+
+    const unsubscribe = subscribe(
+      [userChannel(user.id), ...eventIds.map(eventChannel)],
+      message => enqueue(() => handleMessage(message))
+    );
+
+    const heartbeat = setInterval(() => enqueue(async () => {
+      if (await loadActiveUser()) {
+        res.write(': heartbeat\n\n');
+      }
+    }), HEARTBEAT_MS);
+
+    req.on('close', () => {
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (error) {
+    next(error);
+  }
+};
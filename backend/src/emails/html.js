@@ -0,0 +1,75 @@
+/**
+ * Building HTML for emails without injecting user content
+ *
+ * The html tag escapes every interpolated value, so event names and
+ * descriptions show as typed. Values that are already HTML, such as nested
+ * html`` fragments, are inserted as they are.
+ */
+
+const ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Escape text for use in HTML content or attribute values
+ * @param {*} value - Text
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ENTITIES[char]);
+
+/**
+ * Convert an interpolated value to HTML. Arrays are joined, and empty
+ * values produce nothing.
+ * @param {*} value - Interpolated value
+ * @returns {string}
+ */
+const toHtml = (value) => {
+  if (value === null || value === undefined || value === false) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(toHtml).join('');
+  }
+  if (value instanceof SafeHtml) {
+    return value.value;
+  }
+
+  return escapeHtml(value);
+};
+
+/**
+ * Tag for HTML templates that escapes interpolated values
+ * @returns {SafeHtml}
+ */
+const html = (strings, ...values) => new SafeHtml(
+  strings.reduce((out, string, i) => out + string + (i < values.length ? toHtml(values[i]) : ''), '')
+);
+
+/**
+ * Render a link styled as a button
+ * @param {string} url - Link target
+ * @param {string} label - Button text
+ * @returns {SafeHtml}
+ */
+const button = (url, label) => html`<a href="${url}" style="padding: 10px 15px; background-color: #4CAF50; color: white; text-decoration: none; border-radius: 4px;">${label}</a>`;
+
+module.exports = {
+  SafeHtml,
+  escapeHtml,
+  html,
+  button
+};
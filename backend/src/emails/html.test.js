@@ -0,0 +1,89 @@
+const { SafeHtml, escapeHtml, html, button } = require('./html');
+const { renderEmail } = require('./index');
+
+describe('escapeHtml', () => {
+  it('escapes markup and quotes', () => {
+    expect(escapeHtml('<script>alert("x")</script> & \'y\''))
+      .toBe('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &#39;y&#39;');
+  });
+
+  it('converts other values to text', () => {
+    expect(escapeHtml(42)).toBe('42');
+  });
+});
+
+describe('html', () => {
+  it('escapes interpolated values', () => {
+    const name = '<img src=x onerror=alert(1)>';
+
+    expect(html`<h1>${name}</h1>`.toString()).toBe('<h1>&lt;img src=x onerror=alert(1)&gt;</h1>');
+  });
+
+  it('escapes values in attributes so they cannot close the quote', () => {
+    const url = 'https://example.com/" onclick="steal()';
+
+    expect(html`<a href="${url}">x</a>`.toString())
+      .toBe('<a href="https://example.com/&quot; onclick=&quot;steal()">x</a>');
+  });
+
+  it('inserts nested fragments without escaping them twice', () => {
+    const item = html`<li>${'a & b'}</li>`;
+
+    expect(html`<ul>${item}</ul>`.toString()).toBe('<ul><li>a &amp; b</li></ul>');
+  });
+
+  it('joins arrays and drops empty values', () => {
+    const items = ['<a>', 'b'].map(value => html`<li>${value}</li>`);
+
+    expect(html`<ul>${items}${null}${undefined}${false}</ul>`.toString())
+      .toBe('<ul><li>&lt;a&gt;</li><li>b</li></ul>');
+    expect(html`${0}`.toString()).toBe('0');
+  });
+
+  it('returns SafeHtml', () => {
+    expect(html`<p></p>`).toBeInstanceOf(SafeHtml);
+  });
+});
+
+describe('button', () => {
+  it('escapes the link and label', () => {
+    const rendered = button('https://example.com/?a=1&b=2', '<b>Go</b>').toString();
+
+    expect(rendered).toContain('href="https://example.com/?a=1&amp;b=2"');
+    expect(rendered).toContain('>&lt;b&gt;Go&lt;/b&gt;</a>');
+  });
+});
+
+describe('renderEmail', () => {
+  const data = {
+    eventName: '<script>alert(1)</script>',
+    date: '2026-06-01',
+    location: 'Tom & Jerry\'s',
+    description: '"quoted"',
+    hostName: '<b>Host</b>',
+    inviteUrl: 'https://example.com/events/1/join?code=abc'
+  };
+
+  it('escapes user content in the HTML part only', () => {
+    const email = renderEmail('eventInvite', data);
+
+    expect(email.html).not.toContain('<script>');
+    expect(email.html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(email.html).toContain('Tom &amp; Jerry&#39;s');
+    expect(email.html).not.toContain('<b>Host</b>');
+    expect(email.text).toContain('<script>alert(1)</script>');
+    expect(email.subject).toBe('You\'re invited to <script>alert(1)</script>');
+  });
+
+  it('adds the unsubscribe link to both parts', () => {
+    const unsubscribeUrl = 'https://api.example.com/unsubscribe?signature=a&b';
+    const email = renderEmail('notification', { title: 'Hi', message: 'There' }, { unsubscribeUrl });
+
+    expect(email.text).toContain(`Unsubscribe from these emails: ${unsubscribeUrl}`);
+    expect(email.html).toContain('href="https://api.example.com/unsubscribe?signature=a&amp;b"');
+  });
+
+  it('throws for unknown templates', () => {
+    expect(() => renderEmail('missing', {})).toThrow('Unknown email template: missing');
+  });
+});
@@ -0,0 +1,73 @@
+const { send } = require('../providers/email');
+const { html } = require('./html');
+
+/**
+ * Email templates
+ *
+ * Every email is rendered from a named template with a text and an HTML
+ * part, then sent through the configured email transport.
+ */
+const templates = {
+  emailVerification: require('./templates/emailVerification'),
+  passwordReset: require('./templates/passwordReset'),
+  eventInvite: require('./templates/eventInvite'),
+  notification: require('./templates/notification'),
+  taggedPhotoDigest: require('./templates/taggedPhotoDigest')
+};
+
+/**
+ * Render an email
+ * @param {string} name - Template name
+ * @param {Object} data - Template data
+ * @param {Object} [options] - Render options
+ * @param {string} [options.unsubscribeUrl] - Adds an unsubscribe link to both parts
+ * @returns {Object} - { subject, text, html }
+ */
+const renderEmail = (name, data, { unsubscribeUrl } = {}) => {
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  let text = template.text(data);
+  let body = template.html(data);
+
+  if (unsubscribeUrl) {
+    text += `\n\n--\nUnsubscribe from these emails: ${unsubscribeUrl}`;
+    body = html`
+      ${body}
+      <p style="font-size: 12px; color: #888;">
+        <a href="${unsubscribeUrl}">Unsubscribe</a> from these emails, or change your notification preferences in the app.
+      </p>
+    `;
+  }
+
+  return {
+    subject: template.subject(data),
+    text,
+    html: body.toString()
+  };
+};
+
+/**
+ * Render and send an email
+ * @param {Object} message - Email to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.template - Template name
+ * @param {Object} message.data - Template data
+ * @param {string} [message.unsubscribeUrl] - Unsubscribe link for the footer
+ * @param {Object} [message.headers] - Extra email headers
+ * @returns {Promise} - Transport response
+ */
+const sendEmail = ({ to, template, data, unsubscribeUrl, headers }) => send({
+  from: process.env.EMAIL_FROM,
+  to,
+  ...renderEmail(template, data, { unsubscribeUrl }),
+  headers
+});
+
+module.exports = {
+  renderEmail,
+  sendEmail
+};
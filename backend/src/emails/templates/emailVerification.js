@@ -0,0 +1,20 @@
+const { html, button } = require('../html');
+
+/**
+ * Asks a new user to confirm their email address
+ * Data: { name, verifyUrl }
+ */
+module.exports = {
+  subject: () => 'Verify your email address',
+  text: ({ name, verifyUrl }) => [
+    `Welcome to PhotoMingle, ${name}`,
+    '',
+    'Please confirm that this is your email address:',
+    verifyUrl
+  ].join('\n'),
+  html: ({ name, verifyUrl }) => html`
+    <h1>Welcome to PhotoMingle, ${name}</h1>
+    <p>Please confirm that this is your email address:</p>
+    ${button(verifyUrl, 'Verify Email')}
+  `
+};
@@ -0,0 +1,32 @@
+const { html, button } = require('../html');
+
+/**
+ * Invitation to an event
+ * Data: { eventName, date, location, description, hostName, inviteUrl }
+ */
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+module.exports = {
+  subject: ({ eventName }) => `You're invited to ${eventName}`,
+  text: ({ eventName, date, location, description, hostName, inviteUrl }) => [
+    `You're invited to ${eventName}`,
+    '',
+    `Date: ${formatDate(date)}`,
+    `Location: ${location}`,
+    `Description: ${description || 'No description provided'}`,
+    `Host: ${hostName}`,
+    '',
+    'Open the link below to view the event and respond:',
+    inviteUrl
+  ].join('\n'),
+  html: ({ eventName, date, location, description, hostName, inviteUrl }) => html`
+    <h1>You're invited to ${eventName}</h1>
+    <p><strong>Date:</strong> ${formatDate(date)}</p>
+    <p><strong>Location:</strong> ${location}</p>
+    <p><strong>Description:</strong> ${description || 'No description provided'}</p>
+    <p><strong>Host:</strong> ${hostName}</p>
+    <p>Click the link below to view the event and respond:</p>
+    ${button(inviteUrl, 'View Invitation')}
+  `
+};
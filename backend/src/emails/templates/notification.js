@@ -0,0 +1,14 @@
+const { html } = require('../html');
+
+/**
+ * A notification without a template of its own
+ * Data: { title, message }
+ */
+module.exports = {
+  subject: ({ title }) => title,
+  text: ({ title, message }) => `${title}\n\n${message}`,
+  html: ({ title, message }) => html`
+    <h1>${title}</h1>
+    <p>${message}</p>
+  `
+};
@@ -0,0 +1,20 @@
+const { html, button } = require('../html');
+
+/**
+ * Link to reset a forgotten password
+ * Data: { resetUrl }
+ */
+module.exports = {
+  subject: () => 'Reset your password',
+  text: ({ resetUrl }) => [
+    'Someone asked to reset the password of your PhotoMingle account. If it was not you, ignore this email.',
+    '',
+    'Reset your password:',
+    resetUrl
+  ].join('\n'),
+  html: ({ resetUrl }) => html`
+    <h1>Reset your password</h1>
+    <p>Someone asked to reset the password of your PhotoMingle account. If it was not you, ignore this email.</p>
+    ${button(resetUrl, 'Reset Password')}
+  `
+};
@@ -0,0 +1,22 @@
+const { html } = require('../html');
+
+/**
+ * Summary of the photos a user was tagged in since the last digest
+ * Data: { total, events: [{ name, count }] }
+ */
+
+const countPhotos = (count) => `${count} ${count === 1 ? 'photo' : 'photos'}`;
+
+module.exports = {
+  subject: ({ total }) => `You were tagged in ${countPhotos(total)}`,
+  text: ({ events }) => [
+    'You were tagged in:',
+    '',
+    ...events.map(({ name, count }) => `- ${countPhotos(count)} from ${name}`)
+  ].join('\n'),
+  html: ({ events }) => html`
+    <h1>New photos of you</h1>
+    <p>You were tagged in:</p>
+    <ul>${events.map(({ name, count }) => html`<li>${countPhotos(count)} from ${name}</li>`)}</ul>
+  `
+};
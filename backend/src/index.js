@@ -4,6 +4,7 @@ const cors = require('cors');
 const morgan = require('morgan');
 const { connectDatabase } = require('./config/database');
 const errorHandler = require('./middleware/errorHandler');
+const { startJobs } = require('./jobs');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -11,6 +12,8 @@ const eventRoutes = require('./routes/eventRoutes');
 const photoRoutes = require('./routes/photoRoutes');
 const inviteRoutes = require('./routes/inviteRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
+const shareRoutes = require('./routes/shareRoutes');
+const streamRoutes = require('./routes/streamRoutes');
 
 // Initialize express app
 const app = express();
@@ -19,6 +22,9 @@ const PORT = process.env.PORT || 3000;
 // Connect to MongoDB
 connectDatabase();
 
+// Start background jobs
+startJobs();
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -31,6 +37,8 @@ app.use('/api/events', eventRoutes);
 app.use('/api/photos', photoRoutes);
 app.use('/api/invite', inviteRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/share', shareRoutes);
+app.use('/api/stream', streamRoutes);
 
 // Base route
 app.get('/', (req, res) => {
@@ -0,0 +1,122 @@
+const Event = require('../models/Event');
+const Photo = require('../models/Photo');
+const Job = require('../models/Job');
+const Notification = require('../models/Notification');
+const ShareLink = require('../models/ShareLink');
+const storage = require('../providers/storage');
+const { removePhotoVariants } = require('./generateVariants');
+const { releaseClusterFaces, removeEventClusters } = require('../utils/faceClusters');
+const { registerHandler, enqueue } = require('./queue');
+
+const JOB_TYPE = 'event:delete';
+
+// Photos removed per batch while purging an event
+const PURGE_BATCH_SIZE = 50;
+
+const getJobKey = (eventId) => `${JOB_TYPE}:${eventId}`;
+
+/**
+ * Mark an event as deleted and queue the purge of its data
+ * @param {Object} event - Event document
+ * @param {string} userId - ID of the user deleting the event
+ * @param {Date} scheduledAt - When to purge the event; later than now to
+ *   leave a grace period
+ * @returns {Promise<Object>} - Queued job
+ */
+const scheduleEventDeletion = async (event, userId, scheduledAt) => {
+  event.deletion = { scheduledAt, requestedBy: userId };
+  await event.save();
+
+  const job = await enqueue(JOB_TYPE, { eventId: event._id.toString() }, {
+    key: getJobKey(event._id),
+    runAt: scheduledAt
+  });
+
+  // Deleting again moves an already scheduled purge
+  if (job.status === 'queued' && job.runAt.getTime() !== scheduledAt.getTime()) {
+    job.runAt = scheduledAt;
+    await job.save();
+  }
+
+  return job;
+};
+
+/**
+ * Cancel an event's scheduled deletion
+ * @param {Object} event - Event document
+ * @returns {Promise<boolean>} - False if the purge has already started
+ */
+const cancelEventDeletion = async (event) => {
+  const isPurging = await Job.exists({ key: getJobKey(event._id), status: 'processing' });
+
+  if (isPurging) {
+    return false;
+  }
+
+  await Job.deleteMany({ key: getJobKey(event._id), status: 'queued' });
+
+  event.deletion = { scheduledAt: null, requestedBy: null };
+  await event.save();
+
+  return true;
+};
+
+/**
+ * Delete a photo with its files, indexed faces and queued jobs. Jobs still
+ * running for the photo see it marked and store nothing more.
+ * @param {Object} photo - Photo document
+ */
+const purgePhoto = async (photo) => {
+  await Photo.updateOne({ _id: photo._id }, { deletingAt: Date.now() });
+  await Job.deleteMany({ status: 'queued', 'payload.photoId': photo._id.toString() });
+  await storage.remove(photo.filename);
+  await removePhotoVariants(photo);
+  await releaseClusterFaces(photo.detectedFaces);
+  await photo.deleteOne();
+};
+
+/**
+ * Delete an event and everything that belongs to it. Each step can be run
+ * again, so a purge interrupted part way is finished by the job's retry.
+ * @param {Object} event - Event document
+ */
+const purgeEvent = async (event) => {
+  let photos = await Photo.find({ event: event._id }).limit(PURGE_BATCH_SIZE);
+
+  while (photos.length > 0) {
+    for (const photo of photos) {
+      await purgePhoto(photo);
+    }
+
+    photos = await Photo.find({ event: event._id }).limit(PURGE_BATCH_SIZE);
+  }
+
+  await removeEventClusters(event);
+  await Notification.deleteMany({ relatedEvent: event._id });
+  await ShareLink.deleteMany({ event: event._id });
+
+  // Removed last, so the event stays marked for deletion until its data is gone
+  await event.deleteOne();
+};
+
+registerHandler(JOB_TYPE, {
+  run: async (job) => {
+    const event = await Event.findById(job.payload.eventId);
+
+    // Already purged, or restored during its grace period
+    if (!event || !event.isDeleted()) {
+      return;
+    }
+
+    await purgeEvent(event);
+  },
+  onFailed: async (job, error) => {
+    console.error(`Giving up purging event ${job.payload.eventId}:`, error);
+  }
+});
+
+module.exports = {
+  scheduleEventDeletion,
+  cancelEventDeletion,
+  purgeEvent
+};
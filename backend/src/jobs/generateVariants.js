@@ -0,0 +1,177 @@
+const path = require('path');
+const Photo = require('../models/Photo');
+const storage = require('../providers/storage');
+const { resizeImage, extractMetadata, normalizeImage, computeImageHashes } = require('../utils/image');
+const { registerHandler, enqueue } = require('./queue');
+
+const JOB_TYPE = 'photo:variants';
+
+// Maximum width and height of each generated variant
+const VARIANT_SIZES = {
+  thumbnail: 320,
+  medium: 1280
+};
+
+const VARIANT_FORMATS = ['jpeg', 'webp'];
+
+/**
+ * Get the storage key of a photo variant
+ * @param {Object} photo - Photo document
+ * @param {string} name - Variant name
+ * @param {string} format - Variant format
+ * @returns {string} - Storage key
+ */
+const getVariantKey = (photo, name, format) => {
+  const baseName = path.basename(photo.filename, path.extname(photo.filename));
+  return `variants/${baseName}/${name}.${format === 'jpeg' ? 'jpg' : format}`;
+};
+
+/**
+ * Get the storage keys every variant of a photo may have been saved under
+ * @param {Object} photo - Photo document
+ * @returns {string[]} - Storage keys
+ */
+const getAllVariantKeys = (photo) => [
+  ...Object.keys(VARIANT_SIZES).flatMap(name =>
+    VARIANT_FORMATS.map(format => getVariantKey(photo, name, format))
+  ),
+  // The upright original keeps the upload's format
+  ...['jpeg', 'png', 'webp', 'gif'].map(format => getVariantKey(photo, 'original', format))
+];
+
+/**
+ * Generate and store every variant of a photo. Metadata and hashes are
+ * computed first for photos uploaded before they were recorded.
+ * @param {Object} photo - Photo document
+ * @returns {Promise<Object|null>} - Updated photo, or null if the photo was
+ *   deleted meanwhile, in which case the stored variants are removed again
+ */
+const generatePhotoVariants = async (photo) => {
+  const image = await storage.read(photo.filename);
+  const variants = [];
+
+  if (photo.metadata.width == null) {
+    photo.metadata = await extractMetadata(image);
+    if (photo.metadata.capturedAt) {
+      photo.takenAt = photo.metadata.capturedAt;
+    }
+  }
+
+  if (!photo.contentHash) {
+    const { contentHash, perceptualHash } = await computeImageHashes(image);
+    photo.contentHash = contentHash;
+    photo.perceptualHash = perceptualHash;
+  }
+
+  for (const [name, width] of Object.entries(VARIANT_SIZES)) {
+    for (const format of VARIANT_FORMATS) {
+      const { data, info } = await resizeImage(image, { width, format });
+      const key = getVariantKey(photo, name, format);
+
+      await storage.save(key, data, { contentType: `image/${format}` });
+
+      variants.push({
+        name,
+        format,
+        key,
+        width: info.width,
+        height: info.height,
+        size: info.size
+      });
+    }
+  }
+
+  // Keep an upright copy without metadata when the upload is rotated or
+  // carries a GPS position, so either can be hidden when serving it
+  if (photo.metadata.orientation > 1 || photo.hasGps()) {
+    const { data, info } = await normalizeImage(image);
+    const key = getVariantKey(photo, 'original', info.format);
+
+    await storage.save(key, data, { contentType: `image/${info.format}` });
+
+    variants.push({
+      name: 'original',
+      format: info.format,
+      key,
+      width: info.width,
+      height: info.height,
+      size: info.size
+    });
+  }
+
+  photo.variants = variants;
+
+  // Only record the variants while the photo is not being deleted; files
+  // saved before the photo is marked are removed by the deletion
+  const result = await Photo.updateOne(
+    { _id: photo._id, deletingAt: null },
+    {
+      $set: {
+        metadata: photo.metadata,
+        takenAt: photo.takenAt,
+        contentHash: photo.contentHash,
+        perceptualHash: photo.perceptualHash,
+        variants: photo.variants
+      }
+    }
+  );
+
+  if (result.matchedCount === 0) {
+    for (const variant of variants) {
+      await storage.remove(variant.key);
+    }
+    return null;
+  }
+
+  return photo;
+};
+
+/**
+ * Queue variant generation for a photo
+ * @param {string} photoId - ID of the photo
+ * @returns {Promise<Object>} - Queued job
+ */
+const queueVariantGeneration = (photoId) => enqueue(JOB_TYPE, { photoId: photoId.toString() }, {
+  key: `${JOB_TYPE}:${photoId}`
+});
+
+/**
+ * Remove a photo's variants from storage, including any saved by a job
+ * that had not recorded them yet
+ * @param {Object} photo - Photo document
+ */
+const removePhotoVariants = async (photo) => {
+  const keys = new Set([
+    ...photo.variants.map(variant => variant.key),
+    ...getAllVariantKeys(photo)
+  ]);
+
+  for (const key of keys) {
+    await storage.remove(key);
+  }
+};
+
+registerHandler(JOB_TYPE, {
+  run: async (job) => {
+    const photo = await Photo.findById(job.payload.photoId);
+
+    if (!photo) {
+      console.error(`Photo not found with id: ${job.payload.photoId}`);
+      return;
+    }
+
+    if (photo.deletingAt) {
+      return;
+    }
+
+    await generatePhotoVariants(photo);
+  }
+});
+
+module.exports = {
+  VARIANT_SIZES,
+  VARIANT_FORMATS,
+  generatePhotoVariants,
+  queueVariantGeneration,
+  removePhotoVariants
+};
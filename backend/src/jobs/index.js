@@ -0,0 +1,24 @@
+const { startWorker } = require('./queue');
+const { recoverUnprocessedPhotos } = require('./processPhoto');
+
+// Register remaining job handlers
+require('./generateVariants');
+require('./matchUserFaces');
+require('./deleteEvent');
+require('./notificationDigest');
+
+/**
+ * Start the background job worker and queue work left behind by a
+ * previous run
+ */
+const startJobs = async () => {
+  startWorker();
+
+  try {
+    await recoverUnprocessedPhotos();
+  } catch (error) {
+    console.error('Error recovering unprocessed photos:', error);
+  }
+};
+
+module.exports = { startJobs };
@@ -0,0 +1,169 @@
+const Photo = require('../models/Photo');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const { detectFaces, searchFaces } = require('../providers/face');
+const storage = require('../providers/storage');
+const { toBoundingBox, boxOverlap } = require('../utils/image');
+const { releaseClusterFaces } = require('../utils/faceClusters');
+const { createNotification } = require('../controllers/notificationController');
+const { FACE_SEARCH_MAX_FACES } = require('./processPhoto');
+const { registerHandler, enqueue } = require('./queue');
+
+const JOB_TYPE = 'user:match-faces';
+
+/**
+ * Queue a scan of a user's past event photos for their enrolled faces
+ * @param {string} userId - ID of the user who enrolled a face
+ * @returns {Promise<Object>} - Queued job
+ */
+const queueFaceBackfill = (userId) => enqueue(JOB_TYPE, { userId: userId.toString() }, {
+  key: `${JOB_TYPE}:${userId}`
+});
+
+/**
+ * Look for a user among the faces of one photo that nobody is tagged in.
+ * Faces found by the original processing are searched again, and faces it
+ * did not record are added.
+ * @param {Object} photo - Photo document
+ * @param {Object} event - Event document of the photo
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} - Status of the new tag, or null if not found
+ */
+const matchUserInPhoto = async (photo, event, userId) => {
+  const { matchThreshold, suggestionThreshold } = event.faceMatching;
+  const image = await storage.read(photo.filename);
+  const detectResult = await detectFaces(image);
+
+  for (const faceDetail of detectResult.FaceDetails || []) {
+    const boundingBox = toBoundingBox(faceDetail.BoundingBox);
+    const isKnown = photo.detectedFaces.some(face =>
+      face.boundingBox && boxOverlap(face.boundingBox, boundingBox) >= 0.5
+    );
+
+    if (!isKnown) {
+      photo.detectedFaces.push({ boundingBox, status: 'unmatched' });
+    }
+  }
+
+  const candidates = photo.detectedFaces.filter(face =>
+    !face.user &&
+    face.status !== 'suppressed' &&
+    !face.rejectedUsers.some(rejected => rejected.toString() === userId)
+  );
+  let bestFace = null;
+  let bestMatch = null;
+
+  for (const face of candidates) {
+    const searchResult = await searchFaces(image, {
+      boundingBox: {
+        Width: face.boundingBox.width,
+        Height: face.boundingBox.height,
+        Left: face.boundingBox.left,
+        Top: face.boundingBox.top
+      },
+      threshold: Math.min(suggestionThreshold, matchThreshold),
+      maxFaces: FACE_SEARCH_MAX_FACES
+    });
+
+    const match = (searchResult.FaceMatches || [])
+      .find(faceMatch => faceMatch.Face.ExternalImageId === userId);
+
+    if (match && (!bestMatch || match.Similarity > bestMatch.Similarity)) {
+      bestFace = face;
+      bestMatch = match;
+    }
+  }
+
+  if (!bestFace) {
+    // Keep faces the original processing did not record
+    if (photo.isModified('detectedFaces')) {
+      await photo.save();
+    }
+    return null;
+  }
+
+  bestFace.user = userId;
+  bestFace.faceId = bestMatch.Face.FaceId;
+  bestFace.confidence = bestMatch.Similarity;
+  bestFace.status = bestMatch.Similarity >= matchThreshold ? 'tagged' : 'suggested';
+  bestFace.source = 'auto';
+  await releaseClusterFaces([bestFace]);
+  await photo.save();
+
+  return bestFace.status;
+};
+
+/**
+ * Scan the photos of every event a user takes part in for their enrolled
+ * faces, then send one summary notification
+ * @param {Object} job - Queued job with the user ID in its payload
+ */
+const matchUserFaces = async (job) => {
+  const { userId } = job.payload;
+  const user = await User.findById(userId);
+
+  if (!user || !user.faceRecognitionConsent.granted || user.referenceFaces.length === 0) {
+    return;
+  }
+
+  // Photos are only matched against participants, as when processing
+  const events = (await Event.find({
+    $or: [{ creator: userId }, { 'invitees.user': userId }],
+    'faceMatching.enabled': { $ne: false },
+    'deletion.scheduledAt': null
+  })).filter(event => event.getParticipantIds().includes(userId));
+
+  const taggedByEvent = [];
+
+  for (const event of events) {
+    // Photos still queued are matched by their own processing
+    const photos = await Photo.find({
+      event: event._id,
+      processingStatus: 'done',
+      'detectedFaces.user': { $ne: user._id }
+    });
+    let tagged = 0;
+
+    for (const photo of photos) {
+      try {
+        const status = await matchUserInPhoto(photo, event, userId);
+        if (status === 'tagged') {
+          tagged++;
+        }
+      } catch (error) {
+        // One unreadable photo should not stop the rest of the scan
+        console.error(`Error matching user ${userId} in photo ${photo._id}:`, error);
+      }
+    }
+
+    if (tagged > 0) {
+      taggedByEvent.push({ event, count: tagged });
+    }
+  }
+
+  if (taggedByEvent.length === 0) {
+    return;
+  }
+
+  const total = taggedByEvent.reduce((sum, entry) => sum + entry.count, 0);
+  const photoCount = `${total} photo${total === 1 ? '' : 's'}`;
+  const source = taggedByEvent.length === 1
+    ? taggedByEvent[0].event.name
+    : `${taggedByEvent.length} events`;
+
+  await createNotification({
+    recipient: userId,
+    type: 'photo_tagged',
+    title: 'You were recognized in past photos',
+    message: `You appear in ${photoCount} from ${source}`,
+    relatedEvent: taggedByEvent.length === 1 ? taggedByEvent[0].event._id : undefined
+  });
+};
+
+registerHandler(JOB_TYPE, {
+  run: matchUserFaces
+});
+
+module.exports = {
+  queueFaceBackfill
+};
@@ -0,0 +1,91 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { sendUserEmail } = require('../utils/notificationEmail');
+const { registerHandler, enqueue } = require('./queue');
+
+const JOB_TYPE = 'notifications:digest';
+
+// Hour of the day (UTC) daily digests are sent
+const DAILY_DIGEST_HOUR = parseInt(process.env.DAILY_DIGEST_HOUR, 10) || 8;
+
+/**
+ * Get when the next digest of a frequency is due
+ * @param {string} frequency - hourly or daily
+ * @returns {Date}
+ */
+const getNextDigestTime = (frequency) => {
+  const next = new Date();
+
+  if (frequency === 'daily') {
+    next.setUTCHours(DAILY_DIGEST_HOUR, 0, 0, 0);
+
+    if (next <= Date.now()) {
+      next.setUTCDate(next.getUTCDate() + 1);
+    }
+
+    return next;
+  }
+
+  next.setUTCHours(next.getUTCHours() + 1, 0, 0, 0);
+  return next;
+};
+
+/**
+ * Queue a user's next digest email. Notifications pending at the same time
+ * share one job.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - Queued job
+ */
+const queueNotificationDigest = (user) => {
+  const runAt = getNextDigestTime(user.notificationPreferences.digest);
+
+  return enqueue(JOB_TYPE, { userId: user.id }, {
+    key: `${JOB_TYPE}:${user.id}:${runAt.getTime()}`,
+    runAt
+  });
+};
+
+/**
+ * Email a user one summary of their pending tagged-photo notifications
+ * @param {Object} job - Queued job with the user ID in its payload
+ */
+const sendNotificationDigest = async (job) => {
+  const { userId } = job.payload;
+  const notifications = await Notification.find({ recipient: userId, digestPending: true })
+    .populate('relatedEvent', 'name')
+    .sort({ createdAt: 1 });
+
+  if (notifications.length === 0) {
+    return;
+  }
+
+  const user = await User.findById(userId);
+
+  // Users who turned the emails off since get nothing
+  if (user && user.getNotificationChannel('photo_tagged') === 'email') {
+    const countsByEvent = new Map();
+
+    for (const notification of notifications) {
+      const eventName = notification.relatedEvent ? notification.relatedEvent.name : 'an event';
+      countsByEvent.set(eventName, (countsByEvent.get(eventName) || 0) + 1);
+    }
+
+    await sendUserEmail(user, 'photo_tagged', 'taggedPhotoDigest', {
+      total: notifications.length,
+      events: [...countsByEvent].map(([name, count]) => ({ name, count }))
+    });
+  }
+
+  await Notification.updateMany(
+    { _id: { $in: notifications.map(notification => notification._id) } },
+    { digestPending: false, isSent: true }
+  );
+};
+
+registerHandler(JOB_TYPE, {
+  run: sendNotificationDigest
+});
+
+module.exports = {
+  queueNotificationDigest
+};
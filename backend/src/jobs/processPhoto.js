@@ -0,0 +1,303 @@
+const Photo = require('../models/Photo');
+const Event = require('../models/Event');
+const { detectFaces, searchFaces } = require('../providers/face');
+const storage = require('../providers/storage');
+const { toBoundingBox, boxOverlap } = require('../utils/image');
+const {
+  CLUSTER_THRESHOLD,
+  addToCluster,
+  releaseClusterFaces,
+  discardClusterFaces
+} = require('../utils/faceClusters');
+const { userChannel, eventChannel, publish } = require('../utils/realtime');
+const { registerHandler, enqueue } = require('./queue');
+
+const JOB_TYPE = 'photo:process';
+
+// Number of candidate matches to request per face before they are narrowed
+// down to the event's participants
+const FACE_SEARCH_MAX_FACES = parseInt(process.env.FACE_SEARCH_MAX_FACES, 10) || 50;
+
+/**
+ * Queue a photo for face processing
+ * @param {string} photoId - ID of the photo to process
+ * @returns {Promise<Object>} - Queued job
+ */
+const queuePhotoProcessing = async (photoId) => {
+  await Photo.updateOne(
+    { _id: photoId },
+    { processingStatus: 'queued', processingError: null }
+  );
+
+  return enqueue(JOB_TYPE, { photoId: photoId.toString() }, {
+    key: `${JOB_TYPE}:${photoId}`
+  });
+};
+
+/**
+ * Tell the uploader and anyone viewing the event that a photo's processing
+ * finished or failed
+ * @param {Object} photo - Photo document
+ */
+const publishProcessingStatus = (photo) => {
+  publish([userChannel(photo.uploader), eventChannel(photo.event)], 'photo_processed', {
+    photo: photo._id,
+    event: photo.event,
+    isProcessed: photo.isProcessed,
+    processingStatus: photo.processingStatus,
+    faceCount: photo.detectedFaces.length
+  });
+};
+
+/**
+ * Save a photo's processing results unless it started being deleted
+ * meanwhile
+ * @param {Object} photo - Photo document
+ * @param {Object} changes - Fields to set
+ * @returns {Promise<boolean>} - Whether the photo was updated
+ */
+const savePhotoResults = async (photo, changes) => {
+  const result = await Photo.updateOne(
+    { _id: photo._id, deletingAt: null },
+    { $set: changes }
+  );
+
+  return result.matchedCount > 0;
+};
+
+/**
+ * Process photo to detect and recognize faces. Errors are thrown so the
+ * queue can retry the job. Faces clustered by a run whose results are not
+ * saved are removed from the face collection again.
+ * @param {Object} job - Queued job with the photo ID in its payload
+ */
+const processPhoto = async (job) => {
+  const { photoId } = job.payload;
+  const photo = await Photo.findById(photoId);
+
+  if (!photo) {
+    console.error(`Photo not found with id: ${photoId}`);
+    return;
+  }
+
+  if (photo.deletingAt) {
+    return;
+  }
+
+  // Get event to access invitees
+  const event = await Event.findById(photo.event)
+    .populate('creator')
+    .populate('invitees.user');
+
+  if (!event) {
+    console.error(`Event not found for photo: ${photoId}`);
+    return;
+  }
+
+  photo.processingStatus = 'processing';
+  await photo.save();
+
+  // Faces and clusters added by this run, until its results are saved
+  const clusteredFaces = [];
+  const createdClusters = [];
+
+  try {
+    // Events with recognition turned off keep no face data at all
+    if (!event.faceMatching.enabled) {
+      await releaseClusterFaces(photo.detectedFaces);
+      photo.detectedFaces = [];
+      photo.isProcessed = true;
+      photo.processingStatus = 'done';
+      photo.processingError = null;
+      await photo.save();
+      publishProcessingStatus(photo);
+      return;
+    }
+
+    const image = await storage.read(photo.filename);
+
+    // Detect faces in the photo
+    const detectResult = await detectFaces(image);
+    const faceDetails = detectResult.FaceDetails || [];
+
+    // Only the event's participants who consented to face recognition may
+    // be matched, so strangers in the global collection are never tagged
+    // or notified
+    const consentingIds = [event.creator, ...event.invitees.map(invitee => invitee.user)]
+      .filter(user => user && user.faceRecognitionConsent && user.faceRecognitionConsent.granted)
+      .map(user => user._id.toString());
+    const participantIds = event.getParticipantIds()
+      .filter(userId => consentingIds.includes(userId));
+    const { matchThreshold, suggestionThreshold } = event.faceMatching;
+    const searchThreshold = Math.min(suggestionThreshold, matchThreshold);
+
+    // Faces confirmed by people, and faces of users who withdrew consent,
+    // are kept as they are when reprocessing
+    const previousFaces = photo.detectedFaces;
+    const isKept = face => face.status === 'confirmed' || face.status === 'suppressed';
+    const keptFaces = previousFaces
+      .filter(isKept)
+      .map(face => face.toObject());
+
+    // Search each detected face individually so every guest in a group
+    // shot can be matched, not just the largest face
+    const detectedFaces = [...keptFaces];
+    const matchedUsers = keptFaces
+      .filter(face => face.user)
+      .map(face => face.user.toString());
+    const keptClusterFaces = [];
+
+    for (const faceDetail of faceDetails) {
+      const boundingBox = toBoundingBox(faceDetail.BoundingBox);
+      const previousFace = previousFaces.find(face =>
+        face.boundingBox && boxOverlap(face.boundingBox, boundingBox) >= 0.5
+      );
+
+      if (previousFace && isKept(previousFace)) {
+        continue;
+      }
+
+      // Users who removed themselves from this face are not matched again
+      const rejectedUsers = previousFace
+        ? previousFace.rejectedUsers.map(userId => userId.toString())
+        : [];
+
+      const searchResult = await searchFaces(image, {
+        boundingBox: faceDetail.BoundingBox,
+        threshold: Math.min(searchThreshold, CLUSTER_THRESHOLD),
+        maxFaces: FACE_SEARCH_MAX_FACES
+      });
+
+      // Matches are ordered by similarity, so take the best participant
+      // who is not already matched in this photo
+      const matchedFace = (searchResult.FaceMatches || []).find(match => {
+        const userId = match.Face.ExternalImageId;
+        return participantIds.includes(userId) &&
+          match.Similarity >= searchThreshold &&
+          !matchedUsers.includes(userId) &&
+          !rejectedUsers.includes(userId);
+      });
+
+      if (!matchedFace) {
+        const face = {
+          boundingBox,
+          status: 'unmatched',
+          rejectedUsers
+        };
+
+        // Group unidentified faces so hosts can identify them together.
+        // Faces clustered by an earlier run stay in their cluster.
+        if (previousFace && previousFace.cluster) {
+          face.cluster = previousFace.cluster;
+          face.clusterFaceId = previousFace.clusterFaceId;
+          keptClusterFaces.push(previousFace);
+        } else {
+          const cluster = await addToCluster(image, event, face, faceDetail.BoundingBox, searchResult);
+          clusteredFaces.push(face);
+
+          if (cluster) {
+            createdClusters.push(cluster);
+          }
+        }
+
+        detectedFaces.push(face);
+        continue;
+      }
+
+      const userId = matchedFace.Face.ExternalImageId;
+      // Automatic tags notify no one; users are notified once a tag is
+      // confirmed or assigned
+      const isTagged = matchedFace.Similarity >= matchThreshold;
+
+      matchedUsers.push(userId);
+
+      detectedFaces.push({
+        faceId: matchedFace.Face.FaceId,
+        user: userId,
+        boundingBox,
+        confidence: matchedFace.Similarity,
+        status: isTagged ? 'tagged' : 'suggested',
+        rejectedUsers
+      });
+    }
+
+    // Faces identified or no longer detected leave their clusters
+    await releaseClusterFaces(previousFaces.filter(face => !keptClusterFaces.includes(face)));
+    photo.detectedFaces = detectedFaces;
+    photo.isProcessed = true;
+    photo.processingStatus = 'done';
+    photo.processingError = null;
+
+    const saved = await savePhotoResults(photo, {
+      detectedFaces: photo.detectedFaces,
+      isProcessed: true,
+      processingStatus: 'done',
+      processingError: null
+    });
+
+    // A photo deleted meanwhile keeps none of the faces found for it
+    if (!saved) {
+      await discardClusterFaces(clusteredFaces, createdClusters);
+      return;
+    }
+
+    publishProcessingStatus(photo);
+  } catch (error) {
+    await discardClusterFaces(clusteredFaces, createdClusters);
+
+    // Leave the photo queued while the job still has attempts left
+    const saved = await savePhotoResults(photo, {
+      processingStatus: 'queued',
+      processingError: error.message
+    });
+
+    if (saved) {
+      throw error;
+    }
+  }
+};
+
+/**
+ * Mark a photo as failed once its job has used up all attempts
+ * @param {Object} job - Failed job
+ * @param {Error} error - Last error
+ */
+const onProcessPhotoFailed = async (job, error) => {
+  const photo = await Photo.findByIdAndUpdate(
+    job.payload.photoId,
+    { processingStatus: 'failed', processingError: error.message },
+    { new: true }
+  );
+
+  if (photo) {
+    publishProcessingStatus(photo);
+  }
+};
+
+/**
+ * Queue photos that were never processed and have no active job, e.g.
+ * because the server stopped between saving a photo and queuing it
+ */
+const recoverUnprocessedPhotos = async () => {
+  const photos = await Photo.find({
+    isProcessed: false,
+    processingStatus: { $ne: 'failed' }
+  }).select('_id');
+
+  for (const photo of photos) {
+    await enqueue(JOB_TYPE, { photoId: photo._id.toString() }, {
+      key: `${JOB_TYPE}:${photo._id}`
+    });
+  }
+};
+
+registerHandler(JOB_TYPE, {
+  run: processPhoto,
+  onFailed: onProcessPhotoFailed
+});
+
+module.exports = {
+  FACE_SEARCH_MAX_FACES,
+  queuePhotoProcessing,
+  recoverUnprocessedPhotos
+};
@@ -0,0 +1,286 @@
+const Job = require('../models/Job');
+
+/**
+ * Mongo-backed background job queue
+ *
+ * Jobs are stored in the jobs collection, claimed atomically by a polling
+ * worker and retried with exponential backoff when their handler throws.
+ * A running job's lock is refreshed on a heartbeat, so jobs left in
+ * processing by a crashed instance are recovered once their lock goes stale
+ * while long-running jobs are not.
+ */
+
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 1000;
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 5;
+const RETRY_DELAY_MS = parseInt(process.env.JOB_RETRY_DELAY_MS, 10) || 5000;
+const STALE_AFTER_MS = parseInt(process.env.JOB_STALE_AFTER_MS, 10) || 10 * 60 * 1000;
+
+// How often a running job's lock is refreshed; well within the stale limit
+const HEARTBEAT_INTERVAL_MS = Math.floor(STALE_AFTER_MS / 4);
+
+const handlers = {};
+
+let pollTimer = null;
+let recoveryTimer = null;
+let running = 0;
+let polling = false;
+
+/**
+ * Register the handler for a job type
+ * @param {string} type - Job type
+ * @param {Object} handler - Job handler
+ * @param {Function} handler.run - Called with the job; throw to retry
+ * @param {Function} [handler.onFailed] - Called with the job and error once
+ *   all attempts are used up
+ */
+const registerHandler = (type, handler) => {
+  handlers[type] = handler;
+};
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Job type
+ * @param {Object} payload - Data passed to the handler
+ * @param {Object} [options] - Job options
+ * @param {string} [options.key] - Skip queuing when an active job has this key
+ * @param {number} [options.maxAttempts] - Attempts before the job fails
+ * @param {Date} [options.runAt] - Earliest time to run the job
+ * @returns {Promise<Object>} - Queued job, or the active job with the same key
+ */
+const enqueue = async (type, payload, options = {}) => {
+  if (options.key) {
+    const activeJob = await Job.findOne({
+      key: options.key,
+      status: { $in: ['queued', 'processing'] }
+    });
+
+    if (activeJob) {
+      return activeJob;
+    }
+  }
+
+  const job = await Job.create({
+    type,
+    key: options.key,
+    payload,
+    maxAttempts: options.maxAttempts || MAX_ATTEMPTS,
+    runAt: options.runAt || Date.now()
+  });
+
+  // Pick the job up straight away if the worker is idle
+  if (pollTimer) {
+    setImmediate(poll);
+  }
+
+  return job;
+};
+
+/**
+ * Claim the next job that is due
+ * @returns {Promise<Object|null>} - Claimed job
+ */
+const claimNextJob = () => Job.findOneAndUpdate(
+  {
+    status: 'queued',
+    runAt: { $lte: new Date() },
+    type: { $in: Object.keys(handlers) }
+  },
+  {
+    $set: { status: 'processing', lockedAt: new Date() },
+    $inc: { attempts: 1 }
+  },
+  { sort: { runAt: 1 }, new: true }
+);
+
+/**
+ * Update a processing job, but only while the caller still holds its lock.
+ * A job whose lock was taken over, e.g. by stale job recovery, is left as
+ * its new owner wrote it.
+ * @param {Object} job - Job as locked by the caller
+ * @param {Object} changes - Fields to set
+ * @returns {Promise<boolean>} - Whether the job was updated
+ */
+const updateLockedJob = async (job, changes) => {
+  const result = await Job.updateOne(
+    { _id: job._id, status: 'processing', lockedAt: job.lockedAt },
+    { $set: changes }
+  );
+
+  if (result.matchedCount === 0) {
+    console.warn(`Job ${job.type} ${job._id} lost its lock to another worker`);
+    return false;
+  }
+
+  Object.assign(job, changes);
+  return true;
+};
+
+/**
+ * Keep a running job's lock fresh until the returned function is called
+ * @param {Object} job - Claimed job
+ * @returns {Function} - Stops the heartbeat; resolves once no refresh is
+ *   in flight
+ */
+const startHeartbeat = (job) => {
+  let refresh = Promise.resolve();
+
+  const timer = setInterval(() => {
+    refresh = refresh
+      .then(() => updateLockedJob(job, { lockedAt: new Date() }))
+      .then(locked => {
+        if (!locked) {
+          clearInterval(timer);
+        }
+      })
+      .catch(error => console.error(`Error refreshing lock of job ${job._id}:`, error));
+  }, HEARTBEAT_INTERVAL_MS);
+
+  return () => {
+    clearInterval(timer);
+    return refresh;
+  };
+};
+
+/**
+ * Record that a job failed, scheduling a retry if attempts remain
+ * @param {Object} job - Failed job, as locked by the caller
+ * @param {Error} error - Error thrown by the handler
+ */
+const failJob = async (job, error) => {
+  if (job.attempts < job.maxAttempts) {
+    await updateLockedJob(job, {
+      status: 'queued',
+      lockedAt: null,
+      lastError: error.message,
+      runAt: new Date(Date.now() + RETRY_DELAY_MS * 2 ** (job.attempts - 1))
+    });
+    return;
+  }
+
+  const failed = await updateLockedJob(job, {
+    status: 'failed',
+    lockedAt: null,
+    lastError: error.message,
+    finishedAt: new Date()
+  });
+
+  if (!failed) {
+    return;
+  }
+
+  const handler = handlers[job.type];
+  if (handler && handler.onFailed) {
+    await handler.onFailed(job, error);
+  }
+};
+
+/**
+ * Run a claimed job
+ * @param {Object} job - Claimed job
+ */
+const runJob = async (job) => {
+  const stopHeartbeat = startHeartbeat(job);
+
+  try {
+    await handlers[job.type].run(job);
+    await stopHeartbeat();
+
+    await updateLockedJob(job, {
+      status: 'done',
+      lockedAt: null,
+      lastError: null,
+      finishedAt: new Date()
+    });
+  } catch (error) {
+    await stopHeartbeat();
+    console.error(`Job ${job.type} ${job._id} failed (attempt ${job.attempts}):`, error);
+
+    try {
+      await failJob(job, error);
+    } catch (saveError) {
+      console.error(`Error recording failure of job ${job._id}:`, saveError);
+    }
+  }
+};
+
+/**
+ * Claim and start jobs until the concurrency limit is reached
+ */
+const poll = async () => {
+  if (polling) {
+    return;
+  }
+
+  polling = true;
+
+  try {
+    while (running < CONCURRENCY) {
+      const job = await claimNextJob();
+
+      if (!job) {
+        break;
+      }
+
+      running++;
+      runJob(job).finally(() => {
+        running--;
+        setImmediate(poll);
+      });
+    }
+  } catch (error) {
+    console.error('Error polling job queue:', error);
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Requeue jobs whose worker stopped while processing them
+ */
+const recoverStaleJobs = async () => {
+  try {
+    const staleJobs = await Job.find({
+      status: 'processing',
+      lockedAt: { $lt: new Date(Date.now() - STALE_AFTER_MS) }
+    });
+
+    for (const job of staleJobs) {
+      console.warn(`Recovering stale job ${job.type} ${job._id}`);
+      await failJob(job, new Error('Job was interrupted'));
+    }
+  } catch (error) {
+    console.error('Error recovering stale jobs:', error);
+  }
+};
+
+/**
+ * Start processing queued jobs
+ */
+const startWorker = () => {
+  if (pollTimer) {
+    return;
+  }
+
+  pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+  recoveryTimer = setInterval(recoverStaleJobs, STALE_AFTER_MS);
+
+  recoverStaleJobs().then(poll);
+};
+
+/**
+ * Stop claiming new jobs
+ */
+const stopWorker = () => {
+  clearInterval(pollTimer);
+  clearInterval(recoveryTimer);
+  pollTimer = null;
+  recoveryTimer = null;
+};
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  startWorker,
+  stopWorker
+};
@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
 const { AppError } = require('../utils/appError');
+const { verifySignature } = require('../utils/signedUrl');
 
 /**
  * Middleware to protect routes that require authentication
@@ -29,8 +31,14 @@ exports.protect = async (req, res, next) => {
         return next(new AppError('User no longer exists', 401));
       }
       
-      // Add user to request object
+      const sessionError = await exports.checkSession(user, decoded.tv || 0, decoded.sid);
+      if (sessionError) {
+        return next(sessionError);
+      }
+      
+      // Add user and session to request object
       req.user = user;
+      req.sessionId = decoded.sid;
       next();
     } catch (error) {
       return next(new AppError('Invalid token', 401));
@@ -38,4 +46,50 @@ exports.protect = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
+};
+
+/**
+ * Check that a session is still active, for requests and for connections
+ * that outlive them
+ * @param {Object} user - User document
+ * @param {number} tokenVersion - User's token version when the session was authenticated
+ * @param {string} [sessionId] - Session ID, i.e. the refresh token family
+ * @returns {Promise<AppError|null>} - Error to respond with, or null if active
+ */
+exports.checkSession = async (user, tokenVersion, sessionId) => {
+  // Check the token was not revoked by logging out everywhere
+  if (tokenVersion !== user.tokenVersion) {
+    return new AppError('Token has been revoked', 401);
+  }
+  
+  // Check the session was not logged out
+  if (sessionId) {
+    const activeSession = await RefreshToken.exists({
+      family: sessionId,
+      revokedAt: null,
+      expiresAt: { $gt: Date.now() }
+    });
+    
+    if (!activeSession) {
+      return new AppError('Session has ended. Please log in again.', 401);
+    }
+  }
+  
+  return null;
+};
+
+/**
+ * Middleware that accepts a valid signed URL in place of a bearer token
+ * @param {Function} getResource - Returns the signed resource identifier for a request
+ */
+exports.protectOrSigned = (getResource) => (req, res, next) => {
+  const { expires, signature } = req.query;
+  
+  if (signature && verifySignature(getResource(req), expires, signature)) {
+    // Access was checked when the URL was signed
+    req.signedAccess = true;
+    return next();
+  }
+  
+  return exports.protect(req, res, next);
 };
\ No newline at end of file
@@ -0,0 +1,185 @@
+const Event = require('../models/Event');
+const Photo = require('../models/Photo');
+const { AppError } = require('../utils/appError');
+
+/**
+ * Authorization policy for events and their photos
+ *
+ * Actions are evaluated against the user's membership of the event: their
+ * role, and whether they accepted the invitation. Pending invitees may see
+ * an event to respond to it; declined invitees are treated as strangers.
+ */
+
+const isUploader = (user, photo) => Boolean(photo) && photo.uploader.toString() === user.id;
+
+// Each rule receives { user, event, photo, membership }
+const POLICIES = {
+  'event:view': ({ event, membership }) =>
+    !event.isPrivate || (Boolean(membership) && membership.status !== 'declined'),
+  'event:update': ({ user, event }) => event.hasRole(user.id, 'co-host'),
+  'event:delete': ({ user, event }) => event.hasRole(user.id, 'owner'),
+  'event:invite': ({ user, event }) => event.hasRole(user.id, 'co-host'),
+  'event:transfer': ({ user, event }) => event.hasRole(user.id, 'owner'),
+  'event:share': ({ user, event }) => event.hasRole(user.id, 'owner'),
+  'event:moderate': ({ user, event }) => event.hasRole(user.id, 'co-host'),
+  'photo:view': ({ user, event }) => !event.isPrivate || event.hasRole(user.id, 'viewer'),
+  'photo:upload': ({ user, event }) => event.hasRole(user.id, 'contributor'),
+  'photo:delete': ({ user, event, photo }) => isUploader(user, photo) || event.hasRole(user.id, 'co-host'),
+  'photo:tag': ({ user, event, photo }) => isUploader(user, photo) || event.hasRole(user.id, 'co-host')
+};
+
+// Actions still allowed while an event waits out its deletion grace period
+const PENDING_DELETION_ACTIONS = ['event:view', 'event:delete', 'photo:view'];
+
+const DENIED_MESSAGES = {
+  'event:view': 'Not authorized to access this event',
+  'event:update': 'Not authorized to update this event',
+  'event:delete': 'Not authorized to delete this event',
+  'event:invite': 'Not authorized to manage invitees of this event',
+  'event:transfer': 'Only the event owner can transfer ownership',
+  'event:share': 'Only the event owner can manage share links',
+  'event:moderate': 'Not authorized to moderate this event',
+  'photo:view': 'Not authorized to access photos from this event',
+  'photo:upload': 'Not authorized to upload photos to this event',
+  'photo:delete': 'Not authorized to delete this photo',
+  'photo:tag': 'Not authorized to tag faces in this photo'
+};
+
+/**
+ * Check whether a user's role lets them perform an action, whatever the
+ * state of the event
+ * @param {Object} user - User document
+ * @param {string} action - Action name, e.g. photo:upload
+ * @param {Object} resources - { event, photo } the action applies to
+ * @returns {boolean}
+ */
+const hasPermission = (user, action, { event, photo }) => {
+  const policy = POLICIES[action];
+
+  if (!policy) {
+    throw new Error(`Unknown policy action: ${action}`);
+  }
+
+  return policy({
+    user,
+    event,
+    photo,
+    membership: event.getMembership(user.id)
+  });
+};
+
+// Check whether an action is blocked because the event waits to be deleted
+const isBlockedByDeletion = (action, event) =>
+  event.isPendingDeletion() && !PENDING_DELETION_ACTIONS.includes(action);
+
+/**
+ * Check whether a user may perform an action
+ * @param {Object} user - User document
+ * @param {string} action - Action name, e.g. photo:upload
+ * @param {Object} resources - { event, photo } the action applies to
+ * @returns {boolean}
+ */
+const can = (user, action, resources = {}) =>
+  !isBlockedByDeletion(action, resources.event) && hasPermission(user, action, resources);
+
+/**
+ * Get the error for a denied action. Users who cannot see the event at all
+ * get a 404 so private events are not revealed; members get a 403, or a 409
+ * while the event waits to be deleted.
+ * @param {Object} user - User document
+ * @param {string} action - Action name
+ * @param {Object} resources - { event, photo } the action applies to
+ * @returns {AppError|null} - Error, or null if the action is allowed
+ */
+const checkPolicy = (user, action, resources) => {
+  if (can(user, action, resources)) {
+    return null;
+  }
+
+  if (!can(user, 'event:view', resources)) {
+    return resources.photo
+      ? new AppError(`Photo not found with id of ${resources.photo._id}`, 404)
+      : new AppError(`Event not found with id of ${resources.event._id}`, 404);
+  }
+
+  if (isBlockedByDeletion(action, resources.event) && hasPermission(user, action, resources)) {
+    return new AppError('Event is scheduled for deletion. Restore it first.', 409);
+  }
+
+  return new AppError(DENIED_MESSAGES[action], 403);
+};
+
+/**
+ * Middleware that loads the event named by a route parameter into req.event
+ * @param {string} [param] - Route parameter holding the event ID
+ */
+const loadEvent = (param = 'id') => async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params[param]);
+
+    // Events whose deletion is due are gone as far as users are concerned
+    if (!event || event.isDeleted()) {
+      return next(new AppError(`Event not found with id of ${req.params[param]}`, 404));
+    }
+
+    req.event = event;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Middleware that loads the photo named by a route parameter and its event
+ * into req.photo and req.event
+ * @param {string} [param] - Route parameter holding the photo ID
+ */
+const loadPhoto = (param = 'id') => async (req, res, next) => {
+  try {
+    const photo = await Photo.findById(req.params[param]);
+
+    if (!photo) {
+      return next(new AppError(`Photo not found with id of ${req.params[param]}`, 404));
+    }
+
+    const event = await Event.findById(photo.event);
+
+    if (!event || event.isDeleted()) {
+      return next(new AppError('Associated event not found', 404));
+    }
+
+    req.photo = photo;
+    req.event = event;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Middleware that checks the user may perform an action on req.event and
+ * req.photo. Requests carrying a valid signed URL were checked when the URL
+ * was signed and pass.
+ * @param {string} action - Action name
+ */
+const authorize = (action) => (req, res, next) => {
+  if (req.signedAccess) {
+    return next();
+  }
+
+  const error = checkPolicy(req.user, action, { event: req.event, photo: req.photo });
+
+  if (error) {
+    return next(error);
+  }
+
+  next();
+};
+
+module.exports = {
+  can,
+  checkPolicy,
+  loadEvent,
+  loadPhoto,
+  authorize
+};
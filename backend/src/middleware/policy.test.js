@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Photo = require('../models/Photo');
+const { can, checkPolicy } = require('./policy');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const users = {
+  owner: id(),
+  coHost: id(),
+  contributor: id(),
+  viewer: id(),
+  pending: id(),
+  declined: id(),
+  stranger: id()
+};
+
+const asUser = name => ({ id: users[name].toString() });
+
+const buildEvent = ({ isPrivate = true, scheduledAt = null } = {}) => new Event({
+  name: 'Wedding',
+  date: new Date(),
+  creator: users.owner,
+  isPrivate,
+  invitees: [
+    { user: users.coHost, role: 'co-host', status: 'accepted' },
+    { user: users.contributor, role: 'contributor', status: 'accepted' },
+    { user: users.viewer, role: 'viewer', status: 'accepted' },
+    { user: users.pending, role: 'co-host', status: 'pending' },
+    { user: users.declined, role: 'co-host', status: 'declined' }
+  ],
+  deletion: { scheduledAt }
+});
+
+const buildPhoto = (event, uploader) => new Photo({
+  filename: 'upload.jpg',
+  originalName: 'IMG_0001.jpg',
+  size: 1024,
+  mimetype: 'image/jpeg',
+  event: event._id,
+  uploader
+});
+
+// Users allowed each action on a private event, for a photo uploaded by
+// the contributor
+const PRIVATE_EVENT_MATRIX = {
+  'event:view': ['owner', 'coHost', 'contributor', 'viewer', 'pending'],
+  'event:update': ['owner', 'coHost'],
+  'event:delete': ['owner'],
+  'event:invite': ['owner', 'coHost'],
+  'event:transfer': ['owner'],
+  'event:share': ['owner'],
+  'event:moderate': ['owner', 'coHost'],
+  'photo:view': ['owner', 'coHost', 'contributor', 'viewer'],
+  'photo:upload': ['owner', 'coHost', 'contributor'],
+  'photo:delete': ['owner', 'coHost', 'contributor'],
+  'photo:tag': ['owner', 'coHost', 'contributor']
+};
+
+describe('can', () => {
+  const event = buildEvent();
+  const photo = buildPhoto(event, users.contributor);
+
+  describe.each(Object.entries(PRIVATE_EVENT_MATRIX))('%s on a private event', (action, allowed) => {
+    it.each(Object.keys(users))('for %s', (name) => {
+      expect(can(asUser(name), action, { event, photo })).toBe(allowed.includes(name));
+    });
+  });
+
+  it('lets anyone view a public event and its photos', () => {
+    const publicEvent = buildEvent({ isPrivate: false });
+
+    for (const name of ['stranger', 'declined', 'pending']) {
+      expect(can(asUser(name), 'event:view', { event: publicEvent })).toBe(true);
+      expect(can(asUser(name), 'photo:view', { event: publicEvent })).toBe(true);
+      expect(can(asUser(name), 'photo:upload', { event: publicEvent })).toBe(false);
+    }
+  });
+
+  it('lets uploaders who lost their role manage their own photos only', () => {
+    const ownPhoto = buildPhoto(event, users.viewer);
+
+    expect(can(asUser('viewer'), 'photo:delete', { event, photo: ownPhoto })).toBe(true);
+    expect(can(asUser('viewer'), 'photo:tag', { event, photo: ownPhoto })).toBe(true);
+    expect(can(asUser('viewer'), 'photo:delete', { event, photo })).toBe(false);
+  });
+
+  it('only allows viewing and deleting while the event waits to be deleted', () => {
+    const pendingDeletion = buildEvent({ scheduledAt: new Date(Date.now() + 60 * 60 * 1000) });
+
+    expect(can(asUser('owner'), 'event:view', { event: pendingDeletion })).toBe(true);
+    expect(can(asUser('owner'), 'photo:view', { event: pendingDeletion })).toBe(true);
+    expect(can(asUser('owner'), 'event:delete', { event: pendingDeletion })).toBe(true);
+    expect(can(asUser('owner'), 'event:update', { event: pendingDeletion })).toBe(false);
+    expect(can(asUser('owner'), 'photo:upload', { event: pendingDeletion })).toBe(false);
+  });
+
+  it('throws for unknown actions', () => {
+    expect(() => can(asUser('owner'), 'event:rename', { event })).toThrow('Unknown policy action');
+  });
+});
+
+describe('checkPolicy', () => {
+  const event = buildEvent();
+  const photo = buildPhoto(event, users.contributor);
+
+  it('returns null for allowed actions', () => {
+    expect(checkPolicy(asUser('coHost'), 'event:update', { event })).toBeNull();
+  });
+
+  it('hides private events from users who cannot see them', () => {
+    for (const name of ['stranger', 'declined']) {
+      const error = checkPolicy(asUser(name), 'event:update', { event });
+
+      expect(error.statusCode).toBe(404);
+      expect(error.message).toBe(`Event not found with id of ${event._id}`);
+    }
+  });
+
+  it('hides photos of private events from users who cannot see them', () => {
+    const error = checkPolicy(asUser('stranger'), 'photo:view', { event, photo });
+
+    expect(error.statusCode).toBe(404);
+    expect(error.message).toBe(`Photo not found with id of ${photo._id}`);
+  });
+
+  it('denies members with a 403', () => {
+    const error = checkPolicy(asUser('viewer'), 'photo:upload', { event });
+
+    expect(error.statusCode).toBe(403);
+    expect(error.message).toBe('Not authorized to upload photos to this event');
+  });
+
+  it('denies pending invitees with a 403', () => {
+    expect(checkPolicy(asUser('pending'), 'photo:view', { event }).statusCode).toBe(403);
+  });
+
+  it('returns a 409 for allowed actions while the event waits to be deleted', () => {
+    const pendingDeletion = buildEvent({ scheduledAt: new Date(Date.now() + 60 * 60 * 1000) });
+
+    expect(checkPolicy(asUser('owner'), 'event:update', { event: pendingDeletion }).statusCode).toBe(409);
+    expect(checkPolicy(asUser('viewer'), 'event:update', { event: pendingDeletion }).statusCode).toBe(403);
+  });
+});
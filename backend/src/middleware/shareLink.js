@@ -0,0 +1,49 @@
+const ShareLink = require('../models/ShareLink');
+const Event = require('../models/Event');
+const { AppError } = require('../utils/appError');
+const { verifySignature } = require('../utils/signedUrl');
+
+/**
+ * Middleware for public share routes. Loads the active share link named by
+ * the :token parameter and its event into req.shareLink and req.event.
+ *
+ * Password-protected links need the password in the X-Share-Password
+ * header, unless the request carries a signed URL issued with the album.
+ * @param {Function} [getResource] - Builds the signed resource from the request
+ *   and share link, for routes reachable through a signed URL
+ */
+exports.loadShareLink = (getResource) => async (req, res, next) => {
+  try {
+    const shareLink = await ShareLink.findOne({
+      tokenHash: ShareLink.hashToken(req.params.token)
+    }).select('+password');
+
+    // Expired and revoked links are indistinguishable from unknown ones
+    if (!shareLink || !shareLink.isActive()) {
+      return next(new AppError('Share link not found or expired', 404));
+    }
+
+    const event = await Event.findById(shareLink.event);
+
+    // Sharing stops as soon as the event is deleted
+    if (!event || event.isPendingDeletion()) {
+      return next(new AppError('Share link not found or expired', 404));
+    }
+
+    if (shareLink.hasPassword) {
+      const { expires, signature } = req.query;
+      const isSigned = Boolean(getResource) && Boolean(signature) &&
+        verifySignature(getResource(req, shareLink), expires, signature);
+
+      if (!isSigned && !(await shareLink.matchPassword(req.get('X-Share-Password')))) {
+        return next(new AppError('A valid password is required for this share link', 401));
+      }
+    }
+
+    req.shareLink = shareLink;
+    req.event = event;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
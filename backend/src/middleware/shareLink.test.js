@@ -0,0 +1,177 @@
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const ShareLink = require('../models/ShareLink');
+const Event = require('../models/Event');
+const { signResource } = require('../utils/signedUrl');
+const { loadShareLink } = require('./shareLink');
+
+const TOKEN = 'share-token';
+const photoId = new mongoose.Types.ObjectId();
+
+const buildEvent = (fields = {}) => new Event({
+  name: 'Wedding',
+  date: new Date(),
+  creator: new mongoose.Types.ObjectId(),
+  ...fields
+});
+
+const buildShareLink = ({ password, ...fields } = {}) => {
+  const shareLink = new ShareLink({
+    event: new mongoose.Types.ObjectId(),
+    createdBy: new mongoose.Types.ObjectId(),
+    tokenHash: ShareLink.hashToken(TOKEN),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    ...fields
+  });
+
+  // Stored the way the pre-save hook stores it
+  if (password) {
+    shareLink.password = bcrypt.hashSync(password, 4);
+    shareLink.hasPassword = true;
+  }
+
+  return shareLink;
+};
+
+const photoResource = (req, shareLink) => shareLink.getPhotoResource(req.params.photoId);
+
+// Run the middleware and return the error it passed on, or null
+const run = async (middleware, { headers = {}, query = {}, params = {} } = {}) => {
+  const req = {
+    params: { token: TOKEN, ...params },
+    query,
+    get: name => headers[name]
+  };
+  const next = jest.fn();
+
+  await middleware(req, {}, next);
+
+  return { error: next.mock.calls[0][0] || null, req };
+};
+
+let stored;
+let event;
+
+beforeAll(() => {
+  process.env.SIGNED_URL_SECRET = 'test-secret';
+});
+
+beforeEach(() => {
+  stored = buildShareLink();
+  event = buildEvent();
+
+  jest.spyOn(ShareLink, 'findOne').mockImplementation(({ tokenHash }) => ({
+    select: async () => (stored && tokenHash === stored.tokenHash ? stored : null)
+  }));
+  jest.spyOn(Event, 'findById').mockImplementation(async () => event);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('loadShareLink', () => {
+  it('loads an active link and its event', async () => {
+    const { error, req } = await run(loadShareLink());
+
+    expect(error).toBeNull();
+    expect(req.shareLink).toBe(stored);
+    expect(req.event).toBe(event);
+  });
+
+  it.each([
+    ['unknown links', () => { stored = null; }],
+    ['expired links', () => { stored.expiresAt = new Date(Date.now() - 1000); }],
+    ['revoked links', () => { stored.revokedAt = new Date(); }],
+    ['links to a deleted event', () => { event = null; }],
+    ['links to an event pending deletion', () => { event.deletion.scheduledAt = new Date(Date.now() + 60 * 60 * 1000); }]
+  ])('hides %s with a 404', async (name, setUp) => {
+    setUp();
+
+    const { error } = await run(loadShareLink());
+
+    expect(error.statusCode).toBe(404);
+    expect(error.message).toBe('Share link not found or expired');
+  });
+
+  describe('with a password', () => {
+    beforeEach(() => {
+      stored = buildShareLink({ password: 'secret' });
+    });
+
+    it('requires the password', async () => {
+      expect((await run(loadShareLink())).error.statusCode).toBe(401);
+      expect((await run(loadShareLink(), { headers: { 'X-Share-Password': 'wrong' } })).error.statusCode)
+        .toBe(401);
+      expect((await run(loadShareLink(), { headers: { 'X-Share-Password': 'secret' } })).error)
+        .toBeNull();
+    });
+
+    it('accepts a signed URL for the shared photo instead', async () => {
+      const { expires, signature } = signResource(stored.getPhotoResource(photoId));
+
+      const { error } = await run(loadShareLink(photoResource), {
+        params: { photoId: photoId.toString() },
+        query: { expires: String(expires), signature }
+      });
+
+      expect(error).toBeNull();
+    });
+
+    it('rejects a signed URL for another photo', async () => {
+      const { expires, signature } = signResource(stored.getPhotoResource(photoId));
+
+      const { error } = await run(loadShareLink(photoResource), {
+        params: { photoId: new mongoose.Types.ObjectId().toString() },
+        query: { expires: String(expires), signature }
+      });
+
+      expect(error.statusCode).toBe(401);
+    });
+
+    it('rejects a signed URL of another share link', async () => {
+      const other = buildShareLink();
+      const { expires, signature } = signResource(other.getPhotoResource(photoId));
+
+      const { error } = await run(loadShareLink(photoResource), {
+        params: { photoId: photoId.toString() },
+        query: { expires: String(expires), signature }
+      });
+
+      expect(error.statusCode).toBe(401);
+    });
+
+    it('rejects an expired signed URL', async () => {
+      const { expires, signature } = signResource(stored.getPhotoResource(photoId));
+      jest.spyOn(Date, 'now').mockReturnValue((expires + 1) * 1000);
+
+      const { error } = await run(loadShareLink(photoResource), {
+        params: { photoId: photoId.toString() },
+        query: { expires: String(expires), signature }
+      });
+
+      expect(error.statusCode).toBe(401);
+    });
+
+    it('does not accept signed URLs on routes without a signed resource', async () => {
+      const { expires, signature } = signResource(stored.getPhotoResource(photoId));
+
+      const { error } = await run(loadShareLink(), {
+        params: { photoId: photoId.toString() },
+        query: { expires: String(expires), signature }
+      });
+
+      expect(error.statusCode).toBe(401);
+    });
+  });
+});
+
+describe('ShareLink', () => {
+  it('only includes the chosen photos of a restricted link', () => {
+    const other = new mongoose.Types.ObjectId();
+
+    expect(buildShareLink().includesPhoto(other)).toBe(true);
+    expect(buildShareLink({ photos: [photoId] }).includesPhoto(photoId)).toBe(true);
+    expect(buildShareLink({ photos: [photoId] }).includesPhoto(other)).toBe(false);
+  });
+});
@@ -1,26 +1,40 @@
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
+const storage = require('../providers/storage');
 
-// Ensure upload directory exists
-const uploadDir = process.env.UPLOAD_DIR || 'uploads';
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
-
-// Set up storage for multer
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
+/**
+ * Multer storage engine that writes uploads to the configured storage
+ * provider. The generated storage key is exposed as `file.filename` and the
+ * contents as `file.buffer` for processing during the request.
+ */
+const providerStorage = {
+  _handleFile: (req, file, cb) => {
     // Generate unique filename with original extension
     const fileExt = path.extname(file.originalname);
     const fileName = `${uuidv4()}${fileExt}`;
-    cb(null, fileName);
+    const chunks = [];
+
+    file.stream.on('data', chunk => chunks.push(chunk));
+    file.stream.on('error', cb);
+    file.stream.on('end', () => {
+      const data = Buffer.concat(chunks);
+
+      storage.save(fileName, data, { contentType: file.mimetype })
+        .then(() => cb(null, {
+          filename: fileName,
+          size: data.length,
+          buffer: data
+        }))
+        .catch(cb);
+    });
+  },
+  _removeFile: (req, file, cb) => {
+    storage.remove(file.filename)
+      .then(() => cb(null))
+      .catch(cb);
   }
-});
+};
 
 // File filter function
 const fileFilter = (req, file, cb) => {
@@ -33,7 +47,7 @@ const fileFilter = (req, file, cb) => {
 
 // Initialize upload middleware
 const upload = multer({
-  storage: storage,
+  storage: providerStorage,
   limits: {
     fileSize: 5 * 1024 * 1024 // 5MB max file size
   },
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 
+// Member roles, from least to most privileged. The creator is the owner;
+// invitees hold one of the other roles.
+const ROLES = ['viewer', 'contributor', 'co-host', 'owner'];
+
 const EventSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -43,6 +47,11 @@ const EventSchema = new mongoose.Schema({
       enum: ['pending', 'accepted', 'declined'],
       default: 'pending'
     },
+    role: {
+      type: String,
+      enum: ['viewer', 'contributor', 'co-host'],
+      default: 'contributor'
+    },
     inviteCode: {
       type: String
     },
@@ -59,10 +68,110 @@ const EventSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // What to do with uploads that duplicate a photo already in the event:
+  // reject them, keep them flagged as duplicates, or merge them into the
+  // existing photo
+  duplicatePolicy: {
+    type: String,
+    enum: ['reject', 'flag', 'merge'],
+    default: 'flag'
+  },
+  // Remove GPS positions from photo files and listings
+  stripGpsMetadata: {
+    type: Boolean,
+    default: false
+  },
+  faceMatching: {
+    // Turn face recognition off entirely for sensitive events
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Minimum similarity for a face to be tagged automatically
+    matchThreshold: {
+      type: Number,
+      min: [0, 'Match threshold must be between 0 and 100'],
+      max: [100, 'Match threshold must be between 0 and 100'],
+      default: 90
+    },
+    // Minimum similarity for a face to be suggested without tagging
+    suggestionThreshold: {
+      type: Number,
+      min: [0, 'Suggestion threshold must be between 0 and 100'],
+      max: [100, 'Suggestion threshold must be between 0 and 100'],
+      default: 80
+    }
+  },
+  // Set when the event is deleted. Its data is purged in the background
+  // once scheduledAt passes, which may be after a grace period.
+  deletion: {
+    scheduledAt: {
+      type: Date,
+      default: null
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Get IDs of the users who take part in the event: the creator and
+// invitees who accepted. Works with both populated and unpopulated refs.
+EventSchema.methods.getParticipantIds = function() {
+  const toId = ref => (ref._id || ref).toString();
+  
+  const participantIds = [toId(this.creator)];
+  
+  for (const invitee of this.invitees) {
+    if (invitee.user && invitee.status === 'accepted') {
+      participantIds.push(toId(invitee.user));
+    }
+  }
+  
+  return participantIds;
+};
+
+// Get a user's membership of the event as { role, status }, or null if
+// they are not a member. The owner's membership is always accepted.
+// Works with both populated and unpopulated refs.
+EventSchema.methods.getMembership = function(userId) {
+  const toId = ref => (ref._id || ref).toString();
+  
+  if (toId(this.creator) === userId.toString()) {
+    return { role: 'owner', status: 'accepted' };
+  }
+  
+  const invitee = this.invitees.find(inv =>
+    inv.user && toId(inv.user) === userId.toString()
+  );
+  
+  return invitee ? { role: invitee.role, status: invitee.status } : null;
+};
+
+// Check whether a user has accepted membership with at least the given role
+EventSchema.methods.hasRole = function(userId, role) {
+  const membership = this.getMembership(userId);
+  
+  return Boolean(membership) &&
+    membership.status === 'accepted' &&
+    ROLES.indexOf(membership.role) >= ROLES.indexOf(role);
+};
+
+// Check whether the event is waiting to be deleted
+EventSchema.methods.isPendingDeletion = function() {
+  return Boolean(this.deletion && this.deletion.scheduledAt);
+};
+
+// Check whether the event's deletion is due or under way; it then counts
+// as gone
+EventSchema.methods.isDeleted = function() {
+  return this.isPendingDeletion() && this.deletion.scheduledAt <= Date.now();
+};
+
 module.exports = mongoose.model('Event', EventSchema);
\ No newline at end of file
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Group of unidentified faces in an event that look like the same person.
+// Member faces are the photos' detectedFaces pointing at the cluster.
+const FaceClusterSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  // User the host identified the cluster as
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Invitee without an account the host identified the cluster as; their
+  // photos are tagged once they accept the invitation
+  assignedInvitee: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assignedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+FaceClusterSchema.index({ event: 1 });
+
+module.exports = mongoose.model('FaceCluster', FaceClusterSchema);
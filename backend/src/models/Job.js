@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const JobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  // Identifies the work a job does so it is not queued twice
+  key: {
+    type: String
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'failed', 'done'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+JobSchema.index({ status: 1, runAt: 1 });
+JobSchema.index({ key: 1, status: 1 });
+
+// Completed jobs are kept for a week for inspection
+JobSchema.index({ finishedAt: 1 }, {
+  expireAfterSeconds: 7 * 24 * 60 * 60,
+  partialFilterExpression: { status: 'done' }
+});
+
+module.exports = mongoose.model('Job', JobSchema);
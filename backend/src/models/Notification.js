@@ -41,10 +41,19 @@ const NotificationSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Waiting to be emailed in the recipient's next digest
+  digestPending: {
+    type: Boolean,
+    default: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Notification lists are read newest first
+NotificationSchema.index({ recipient: 1, createdAt: -1 });
+NotificationSchema.index({ recipient: 1, digestPending: 1 });
+
 module.exports = mongoose.model('Notification', NotificationSchema);
\ No newline at end of file
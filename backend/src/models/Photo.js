@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 
 const PhotoSchema = new mongoose.Schema({
+  // Storage key of the uploaded file
   filename: {
     type: String,
     required: true
@@ -9,10 +10,6 @@ const PhotoSchema = new mongoose.Schema({
     type: String,
     required: true
   },
-  path: {
-    type: String,
-    required: true
-  },
   size: {
     type: Number,
     required: true
@@ -47,16 +44,188 @@ const PhotoSchema = new mongoose.Schema({
     },
     confidence: {
       type: Number
+    },
+    // tagged: matched automatically above the event's match threshold
+    // suggested: matched below it, waiting for confirmation
+    // confirmed: confirmed or assigned by a person
+    // suppressed: the face of a user who withdrew face recognition
+    // consent; never searched or clustered again
+    status: {
+      type: String,
+      enum: ['tagged', 'suggested', 'confirmed', 'unmatched', 'suppressed'],
+      default: 'tagged'
+    },
+    source: {
+      type: String,
+      enum: ['auto', 'manual'],
+      default: 'auto'
+    },
+    confirmedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    confirmedAt: {
+      type: Date
+    },
+    // Users removed from this face; never matched to it automatically again
+    rejectedUsers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    // Cluster of an unidentified face and the ID it is indexed under in
+    // the face collection while it stays unidentified
+    cluster: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FaceCluster',
+      default: null
+    },
+    clusterFaceId: {
+      type: String,
+      default: null
+    }
+  }],
+  // Details read from the image's EXIF data
+  metadata: {
+    capturedAt: Date,
+    cameraMake: String,
+    cameraModel: String,
+    orientation: Number,
+    width: Number,
+    height: Number,
+    gps: {
+      latitude: Number,
+      longitude: Number,
+      altitude: Number
+    }
+  },
+  // Hashes used to detect duplicate uploads
+  contentHash: {
+    type: String
+  },
+  perceptualHash: {
+    type: String
+  },
+  // Set when the photo was kept but flagged as a copy of another photo
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Photo',
+    default: null
+  },
+  duplicateType: {
+    type: String,
+    enum: ['exact', 'near', null],
+    default: null
+  },
+  // Later uploads of the same photo that were merged into this one
+  mergedUploads: [{
+    uploader: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    originalName: String,
+    duplicateType: {
+      type: String,
+      enum: ['exact', 'near']
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now
     }
   }],
+  // Capture time when known, otherwise upload time; used to order albums
+  takenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Copies derived from the original, stored alongside it. The "original"
+  // variant is the full-size image rotated upright with metadata removed.
+  variants: [{
+    name: {
+      type: String,
+      enum: ['thumbnail', 'medium', 'original'],
+      required: true
+    },
+    format: {
+      type: String,
+      enum: ['jpeg', 'webp', 'png', 'gif'],
+      required: true
+    },
+    key: {
+      type: String,
+      required: true
+    },
+    width: Number,
+    height: Number,
+    size: Number
+  }],
   isProcessed: {
     type: Boolean,
     default: false
   },
+  processingStatus: {
+    type: String,
+    enum: ['queued', 'processing', 'failed', 'done'],
+    default: 'queued'
+  },
+  processingError: {
+    type: String,
+    default: null
+  },
+  // Set when the photo's files start being deleted. Background jobs leave
+  // such photos alone and store nothing more for them.
+  deletingAt: {
+    type: Date,
+    default: null
+  },
   uploadedAt: {
     type: Date,
     default: Date.now
   }
 });
 
+PhotoSchema.index({ event: 1, takenAt: 1 });
+PhotoSchema.index({ event: 1, uploadedAt: 1 });
+PhotoSchema.index({ event: 1, contentHash: 1 });
+PhotoSchema.index({ 'detectedFaces.cluster': 1 });
+
+// Get the storage key and MIME type of a variant, falling back to the
+// original file when the variant has not been generated. The upright,
+// metadata-free original is served instead of the upload when the upload
+// needs rotating or GPS data must be stripped. Returns null when GPS must be
+// stripped but the metadata-free original is not ready yet.
+PhotoSchema.methods.getVariantFile = function(name, format = 'jpeg', options = {}) {
+  let variant = null;
+  
+  if (name && name !== 'original') {
+    variant = this.variants.find(v => v.name === name && v.format === format);
+  }
+  
+  // Missing variants fall back to the original, with the same checks
+  if (!variant) {
+    const needsRotation = this.metadata.orientation > 1;
+    // Photos whose metadata was never read may still carry GPS data
+    const mayHaveGps = this.metadata.width == null || this.hasGps();
+    const mustStripGps = Boolean(options.stripGps) && mayHaveGps;
+    
+    if (needsRotation || mustStripGps) {
+      variant = this.variants.find(v => v.name === 'original');
+      
+      if (!variant && mustStripGps) {
+        return null;
+      }
+    }
+  }
+  
+  if (!variant) {
+    return { key: this.filename, contentType: this.mimetype };
+  }
+  
+  return { key: variant.key, contentType: `image/${variant.format}` };
+};
+
+// Check whether the upload carries a GPS position
+PhotoSchema.methods.hasGps = function() {
+  return Boolean(this.metadata.gps) && this.metadata.gps.latitude != null;
+};
+
 module.exports = mongoose.model('Photo', PhotoSchema);
\ No newline at end of file
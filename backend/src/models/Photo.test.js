@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const Photo = require('./Photo');
+
+const buildPhoto = ({ gps = true, variants = [], orientation = 1 } = {}) => new Photo({
+  filename: 'upload.jpg',
+  originalName: 'IMG_0001.jpg',
+  size: 1024,
+  mimetype: 'image/jpeg',
+  event: new mongoose.Types.ObjectId(),
+  uploader: new mongoose.Types.ObjectId(),
+  metadata: {
+    orientation,
+    width: 4000,
+    height: 3000,
+    gps: gps ? { latitude: 52.37, longitude: 4.89 } : undefined
+  },
+  variants
+});
+
+const variant = (name, format = 'jpeg') => ({ name, format, key: `${name}.${format}` });
+
+describe('Photo.getVariantFile', () => {
+  describe('when GPS must be stripped', () => {
+    const options = { stripGps: true };
+
+    it.each([
+      ['original', []],
+      ['thumbnail', []],
+      ['medium', []],
+      ['thumbnail', [variant('medium')]],
+      ['medium', [variant('medium', 'webp')]],
+      [undefined, []]
+    ])('never serves the upload for %s with variants %j', (name, variants) => {
+      const photo = buildPhoto({ variants });
+
+      expect(photo.getVariantFile(name, 'jpeg', options)).toBeNull();
+    });
+
+    it('serves a generated variant', () => {
+      const photo = buildPhoto({ variants: [variant('thumbnail')] });
+
+      expect(photo.getVariantFile('thumbnail', 'jpeg', options)).toEqual({
+        key: 'thumbnail.jpeg',
+        contentType: 'image/jpeg'
+      });
+    });
+
+    it('falls back to the metadata-free original when a variant is missing', () => {
+      const photo = buildPhoto({ variants: [variant('original')] });
+
+      expect(photo.getVariantFile('medium', 'jpeg', options)).toEqual({
+        key: 'original.jpeg',
+        contentType: 'image/jpeg'
+      });
+    });
+
+    it('treats photos whose metadata was never read as having GPS', () => {
+      const photo = buildPhoto({ gps: false });
+      photo.metadata.width = undefined;
+
+      expect(photo.getVariantFile('thumbnail', 'jpeg', options)).toBeNull();
+    });
+
+    it('serves the upload of a photo without GPS', () => {
+      const photo = buildPhoto({ gps: false });
+
+      expect(photo.getVariantFile('thumbnail', 'jpeg', options)).toEqual({
+        key: 'upload.jpg',
+        contentType: 'image/jpeg'
+      });
+    });
+  });
+
+  describe('when GPS may be kept', () => {
+    it('serves the upload while variants are missing', () => {
+      const photo = buildPhoto();
+
+      expect(photo.getVariantFile('thumbnail').key).toBe('upload.jpg');
+      expect(photo.getVariantFile('original').key).toBe('upload.jpg');
+    });
+
+    it('serves the upright original for rotated uploads', () => {
+      const photo = buildPhoto({ orientation: 6, variants: [variant('original')] });
+
+      expect(photo.getVariantFile('original').key).toBe('original.jpeg');
+      expect(photo.getVariantFile('medium').key).toBe('original.jpeg');
+    });
+  });
+});
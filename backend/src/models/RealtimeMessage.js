@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Real-time messages are passed between server instances through a capped
+// collection, which every instance with open streams tails. Old messages
+// are dropped once the collection is full.
+const RealtimeMessageSchema = new mongoose.Schema({
+  channels: [{
+    type: String
+  }],
+  type: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  capped: {
+    size: 16 * 1024 * 1024,
+    max: 10000
+  }
+});
+
+module.exports = mongoose.model('RealtimeMessage', RealtimeMessageSchema);
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Refresh tokens are stored hashed and rotated on every use. Tokens issued
+// from the same login share a family, which identifies the session.
+const RefreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true
+  },
+  userAgent: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RefreshTokenSchema.index({ family: 1 });
+RefreshTokenSchema.index({ user: 1 });
+
+// Expired tokens are no use to anyone
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a refresh token for storage and lookup
+RefreshTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Revoke every active token of a session
+RefreshTokenSchema.statics.revokeFamily = function(family) {
+  return this.updateMany({ family, revokedAt: null }, { revokedAt: Date.now() });
+};
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
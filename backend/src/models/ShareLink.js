@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// Public link to an event album for people without an account. The token
+// is only shown when the link is created; it is stored hashed.
+const ShareLinkSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  password: {
+    type: String,
+    select: false
+  },
+  hasPassword: {
+    type: Boolean,
+    default: false
+  },
+  allowDownload: {
+    type: Boolean,
+    default: false
+  },
+  // Photos the link is restricted to; empty shares the whole album
+  photos: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Photo'
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  accessCount: {
+    type: Number,
+    default: 0
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ShareLinkSchema.index({ event: 1 });
+
+// Hash the password, if one is set
+ShareLinkSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  this.hasPassword = Boolean(this.password);
+
+  if (!this.password) {
+    return next();
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  this.password = await bcrypt.hash(this.password, salt);
+  next();
+});
+
+// Create a random share token
+ShareLinkSchema.statics.generateToken = function() {
+  return crypto.randomBytes(24).toString('hex');
+};
+
+// Hash a share token for storage and lookup
+ShareLinkSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Check the link has not expired or been revoked
+ShareLinkSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+// Match an entered password against the hashed one. The password must
+// have been selected.
+ShareLinkSchema.methods.matchPassword = async function(enteredPassword) {
+  return Boolean(enteredPassword) && await bcrypt.compare(String(enteredPassword), this.password);
+};
+
+// Check whether the link shares a photo
+ShareLinkSchema.methods.includesPhoto = function(photoId) {
+  return this.photos.length === 0 || this.photos.some(id => id.equals(photoId));
+};
+
+// Resource that signed file URLs for one of the shared photos grant access to
+ShareLinkSchema.methods.getPhotoResource = function(photoId) {
+  return `share:${this._id}:photo:${photoId}`;
+};
+
+module.exports = mongoose.model('ShareLink', ShareLinkSchema);
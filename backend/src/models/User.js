@@ -1,7 +1,12 @@
+const crypto = require('crypto');
+const path = require('path');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 
+// Ways a user can receive a type of notification
+const NOTIFICATION_CHANNELS = ['in_app', 'email', 'none'];
+
 const UserSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -24,14 +29,112 @@ const UserSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
-  profileImage: {
-    type: String,
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
     default: null
   },
-  faceId: {
+  // Hashes of single-use tokens sent by email, with their expiry
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // Storage key of the profile image
+  profileImage: {
     type: String,
     default: null
   },
+  // Faces indexed in the face collection to recognize the user by
+  referenceFaces: [{
+    _id: false,
+    faceId: {
+      type: String,
+      required: true
+    },
+    // Storage key of the image the face was enrolled from
+    image: String,
+    source: {
+      type: String,
+      enum: ['profile', 'enrollment'],
+      default: 'enrollment'
+    },
+    confidence: Number,
+    quality: {
+      brightness: Number,
+      sharpness: Number
+    },
+    enrolledAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Explicit consent to face recognition; faces are only indexed and
+  // matched while it is granted
+  faceRecognitionConsent: {
+    granted: {
+      type: Boolean,
+      default: false
+    },
+    grantedAt: {
+      type: Date,
+      default: null
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // How the user hears about each notification type: in the app only
+  // (in_app), in the app and by email (email), or not at all (none).
+  // Invitations were always emailed; other emails are opt-in.
+  notificationPreferences: {
+    event_invite: {
+      type: String,
+      enum: NOTIFICATION_CHANNELS,
+      default: 'email'
+    },
+    photo_tagged: {
+      type: String,
+      enum: NOTIFICATION_CHANNELS,
+      default: 'in_app'
+    },
+    event_reminder: {
+      type: String,
+      enum: NOTIFICATION_CHANNELS,
+      default: 'in_app'
+    },
+    system: {
+      type: String,
+      enum: NOTIFICATION_CHANNELS,
+      default: 'in_app'
+    },
+    // Collect tagged-photo emails into an hourly or daily summary
+    digest: {
+      type: String,
+      enum: ['off', 'hourly', 'daily'],
+      default: 'hourly'
+    }
+  },
+  // Incremented to invalidate every access token issued so far
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -41,7 +144,7 @@ const UserSchema = new mongoose.Schema({
 // Encrypt password before saving
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   
   const salt = await bcrypt.genSalt(10);
@@ -49,12 +152,12 @@ UserSchema.pre('save', async function(next) {
   next();
 });
 
-// Sign JWT and return
-UserSchema.methods.getSignedJwtToken = function() {
+// Sign a short-lived access token for a session and return it
+UserSchema.methods.getSignedJwtToken = function(sessionId) {
   return jwt.sign(
-    { id: this._id },
+    { id: this._id, sid: sessionId, tv: this.tokenVersion },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN }
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
   );
 };
 
@@ -63,4 +166,42 @@ UserSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Hash a token sent by email for storage and lookup
+UserSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate an email verification token, store its hash and return it
+UserSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const hours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS, 10) || 24;
+  
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpires = Date.now() + hours * 60 * 60 * 1000;
+  
+  return token;
+};
+
+// Generate a password reset token, store its hash and return it
+UserSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES, 10) || 60;
+  
+  this.passwordResetToken = this.constructor.hashToken(token);
+  this.passwordResetExpires = Date.now() + minutes * 60 * 1000;
+  
+  return token;
+};
+
+// Get how the user wants to receive a type of notification
+UserSchema.methods.getNotificationChannel = function(type) {
+  return this.notificationPreferences[type] || 'in_app';
+};
+
+// Get the storage key of the profile image. Older profile images stored
+// the full upload path (uploads/<file>), whose file name is the key.
+UserSchema.methods.getProfileImageKey = function() {
+  return this.profileImage ? path.basename(this.profileImage) : null;
+};
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
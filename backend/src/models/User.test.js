@@ -0,0 +1,19 @@
+const User = require('./User');
+
+describe('User.getProfileImageKey', () => {
+  it('returns the storage key of a profile image', () => {
+    const user = new User({ profileImage: 'profile-1.jpg' });
+
+    expect(user.getProfileImageKey()).toBe('profile-1.jpg');
+  });
+
+  it('reads the key from the upload path of older profile images', () => {
+    const user = new User({ profileImage: 'uploads/profile-1.jpg' });
+
+    expect(user.getProfileImageKey()).toBe('profile-1.jpg');
+  });
+
+  it('returns null without a profile image', () => {
+    expect(new User().getProfileImageKey()).toBeNull();
+  });
+});
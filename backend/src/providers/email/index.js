@@ -0,0 +1,38 @@
+/**
+ * Email transport
+ *
+ * Selects how emails are delivered from the EMAIL_PROVIDER environment
+ * variable. Every transport takes the same message, with both a text and
+ * an HTML part.
+ */
+const providers = {
+  sendgrid: () => require('./sendgrid'),
+  smtp: () => require('./smtp'),
+  outbox: () => require('./outbox')
+};
+
+let provider = null;
+
+/**
+ * Get the configured email transport
+ * @returns {Object} - Email transport module
+ */
+const getProvider = () => {
+  if (!provider) {
+    const name = process.env.EMAIL_PROVIDER || 'sendgrid';
+    const loadProvider = providers[name];
+
+    if (!loadProvider) {
+      throw new Error(`Unknown email provider: ${name}`);
+    }
+
+    provider = loadProvider();
+  }
+
+  return provider;
+};
+
+module.exports = {
+  getProvider,
+  send: (...args) => getProvider().send(...args)
+};
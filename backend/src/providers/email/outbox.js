@@ -0,0 +1,34 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Outbox email transport
+ *
+ * Writes every email as a JSON file to EMAIL_OUTBOX_DIR instead of sending
+ * it. Intended for development and tests.
+ */
+
+const getOutboxDir = () => path.resolve(process.env.EMAIL_OUTBOX_DIR || 'outbox');
+
+/**
+ * Save an email to the outbox
+ * @param {Object} message - { from, to, subject, text, html, headers }
+ * @returns {Promise<string>} - Path of the written file
+ */
+const send = async (message) => {
+  const outboxDir = getOutboxDir();
+  const filePath = path.join(outboxDir, `${Date.now()}-${uuidv4()}.json`);
+
+  await fs.promises.mkdir(outboxDir, { recursive: true });
+  await fs.promises.writeFile(filePath, JSON.stringify({
+    ...message,
+    sentAt: new Date()
+  }, null, 2));
+
+  return filePath;
+};
+
+module.exports = {
+  send
+};
@@ -1,20 +1,20 @@
 const sgMail = require('@sendgrid/mail');
 
+/**
+ * SendGrid email transport
+ */
+
 // Set SendGrid API Key
 sgMail.setApiKey(process.env.SENDGRID_API_KEY);
 
 /**
- * Send email using SendGrid
- * @param {Object} messageData - Email message data
+ * Send an email
+ * @param {Object} message - { from, to, subject, text, html, headers }
  * @returns {Promise} - SendGrid response
  */
-const sendEmail = async (messageData) => {
+const send = async (message) => {
   try {
-    const msg = {
-      from: process.env.EMAIL_FROM,
-      ...messageData
-    };
-    return await sgMail.send(msg);
+    return await sgMail.send(message);
   } catch (error) {
     console.error('SendGrid Error:', error);
     if (error.response) {
@@ -25,5 +25,5 @@ const sendEmail = async (messageData) => {
 };
 
 module.exports = {
-  sendEmail
-};
\ No newline at end of file
+  send
+};
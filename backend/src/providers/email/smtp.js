@@ -0,0 +1,43 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP email transport
+ *
+ * Sends through any SMTP server configured with the SMTP_* environment
+ * variables.
+ */
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+
+  return transporter;
+};
+
+/**
+ * Send an email
+ * @param {Object} message - { from, to, subject, text, html, headers }
+ * @returns {Promise<Object>} - Nodemailer delivery info
+ */
+const send = async (message) => {
+  try {
+    return await getTransporter().sendMail(message);
+  } catch (error) {
+    console.error('SMTP Error:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  send
+};
@@ -0,0 +1,42 @@
+/**
+ * Face recognition provider
+ *
+ * Selects the face recognition implementation from the FACE_PROVIDER
+ * environment variable. Every provider exposes the same functions and
+ * returns responses shaped like the AWS Rekognition API, so callers do not
+ * need to know which one is active.
+ */
+const providers = {
+  rekognition: () => require('./rekognition'),
+  local: () => require('./local')
+};
+
+let provider = null;
+
+/**
+ * Get the configured face provider
+ * @returns {Object} - Face provider module
+ */
+const getProvider = () => {
+  if (!provider) {
+    const name = process.env.FACE_PROVIDER || 'rekognition';
+    const loadProvider = providers[name];
+
+    if (!loadProvider) {
+      throw new Error(`Unknown face provider: ${name}`);
+    }
+
+    provider = loadProvider();
+  }
+
+  return provider;
+};
+
+module.exports = {
+  getProvider,
+  createCollectionIfNotExists: (...args) => getProvider().createCollectionIfNotExists(...args),
+  indexFace: (...args) => getProvider().indexFace(...args),
+  detectFaces: (...args) => getProvider().detectFaces(...args),
+  searchFaces: (...args) => getProvider().searchFaces(...args),
+  deleteFaces: (...args) => getProvider().deleteFaces(...args)
+};
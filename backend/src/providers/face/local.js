@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { AppError } = require('../../utils/appError');
+
+/**
+ * Local face provider
+ *
+ * Deterministic, in-process stand-in for Rekognition intended for
+ * development, CI and air-gapped deployments. Every image is treated as
+ * containing a single face that spans the whole frame, and faces match when
+ * their images have identical content. The collection is persisted as a JSON
+ * file so indexed faces survive restarts.
+ */
+
+const FULL_FRAME = { Width: 1, Height: 1, Left: 0, Top: 0 };
+
+const getCollectionPath = () => process.env.LOCAL_FACE_COLLECTION_PATH ||
+  path.join(process.env.UPLOAD_DIR || 'uploads', 'face-collection.json');
+
+/**
+ * Load the collection from disk
+ * @returns {Object} - Collection with a faces array
+ */
+const loadCollection = () => {
+  const collectionPath = getCollectionPath();
+
+  if (!fs.existsSync(collectionPath)) {
+    return null;
+  }
+
+  return JSON.parse(fs.readFileSync(collectionPath, 'utf8'));
+};
+
+/**
+ * Persist the collection to disk
+ * @param {Object} collection - Collection with a faces array
+ */
+const saveCollection = (collection) => {
+  const collectionPath = getCollectionPath();
+  fs.mkdirSync(path.dirname(collectionPath), { recursive: true });
+  fs.writeFileSync(collectionPath, JSON.stringify(collection, null, 2));
+};
+
+/**
+ * Compute the fingerprint used to compare faces
+ * @param {Buffer} image - Image bytes
+ * @returns {string} - Hex digest of the image content
+ */
+const fingerprint = (image) => crypto
+  .createHash('sha256')
+  .update(image)
+  .digest('hex');
+
+const faceDetail = () => ({
+  BoundingBox: { ...FULL_FRAME },
+  Confidence: 100,
+  Quality: {
+    Brightness: 100,
+    Sharpness: 100
+  }
+});
+
+/**
+ * Create a face collection if it doesn't exist
+ */
+const createCollectionIfNotExists = async () => {
+  if (loadCollection()) {
+    console.log(`Local face collection ${getCollectionPath()} already exists`);
+    return;
+  }
+
+  saveCollection({ faces: [] });
+  console.log(`Local face collection ${getCollectionPath()} created`);
+};
+
+/**
+ * Index a face in the collection
+ * @param {Buffer} image - Image bytes
+ * @param {string} externalImageId - ID to associate with the face: a user
+ *   ID, or a cluster ID for unidentified faces
+ * @param {Object} [options] - Index options
+ * @param {Object} [options.boundingBox] - Accepted for interface parity. Local
+ *   faces always span the whole frame, so the box is not used.
+ * @returns {Object} - Rekognition-shaped response
+ */
+const indexFace = async (image, externalImageId) => {
+  try {
+    const collection = loadCollection() || { faces: [] };
+    const face = {
+      FaceId: uuidv4(),
+      ExternalImageId: externalImageId,
+      Fingerprint: fingerprint(image)
+    };
+
+    collection.faces.push(face);
+    saveCollection(collection);
+
+    return {
+      FaceRecords: [{
+        Face: {
+          FaceId: face.FaceId,
+          ExternalImageId: face.ExternalImageId,
+          BoundingBox: { ...FULL_FRAME },
+          Confidence: 100
+        },
+        FaceDetail: faceDetail()
+      }],
+      UnindexedFaces: []
+    };
+  } catch (error) {
+    console.error('Error indexing face:', error);
+    throw new AppError('Failed to index face', 500);
+  }
+};
+
+/**
+ * Detect faces in an image
+ * @param {Buffer} image - Image bytes
+ * @returns {Object} - Rekognition-shaped response
+ */
+const detectFaces = async (image) => {
+  if (!image || image.length === 0) {
+    throw new AppError('Failed to detect faces', 500);
+  }
+
+  return {
+    FaceDetails: [faceDetail()]
+  };
+};
+
+/**
+ * Search for faces in the collection
+ * @param {Buffer} image - Image bytes
+ * @param {Object} [options] - Search options
+ * @param {Object} [options.boundingBox] - Accepted for interface parity. Local
+ *   faces always span the whole frame, so the box is not used.
+ * @param {number} [options.threshold] - Minimum similarity of returned matches
+ * @param {number} [options.maxFaces] - Maximum number of matches to return
+ * @returns {Object} - Rekognition-shaped response
+ */
+const searchFaces = async (image, options = {}) => {
+  try {
+    const collection = loadCollection() || { faces: [] };
+    const imageFingerprint = fingerprint(image);
+    const threshold = options.threshold !== undefined ? options.threshold : 90;
+    const maxFaces = options.maxFaces || 5;
+
+    const FaceMatches = collection.faces
+      .filter(face => face.Fingerprint === imageFingerprint)
+      .map(face => ({
+        Similarity: 100,
+        Face: {
+          FaceId: face.FaceId,
+          ExternalImageId: face.ExternalImageId,
+          BoundingBox: { ...FULL_FRAME },
+          Confidence: 100
+        }
+      }))
+      .filter(match => match.Similarity >= threshold)
+      .slice(0, maxFaces);
+
+    return {
+      SearchedFaceBoundingBox: { ...FULL_FRAME },
+      SearchedFaceConfidence: 100,
+      FaceMatches
+    };
+  } catch (error) {
+    console.error('Error searching faces:', error);
+    throw new AppError('Failed to search faces', 500);
+  }
+};
+
+/**
+ * Delete faces from the collection
+ * @param {string[]} faceIds - IDs of the faces to delete
+ * @returns {Object} - Rekognition-shaped response
+ */
+const deleteFaces = async (faceIds) => {
+  const collection = loadCollection() || { faces: [] };
+  const DeletedFaces = collection.faces
+    .filter(face => faceIds.includes(face.FaceId))
+    .map(face => face.FaceId);
+
+  collection.faces = collection.faces.filter(face => !faceIds.includes(face.FaceId));
+  saveCollection(collection);
+
+  return { DeletedFaces };
+};
+
+module.exports = {
+  createCollectionIfNotExists,
+  indexFace,
+  detectFaces,
+  searchFaces,
+  deleteFaces
+};
@@ -0,0 +1,157 @@
+const { rekognition } = require('../../config/aws');
+const { AppError } = require('../../utils/appError');
+const { cropToBoundingBox } = require('../../utils/image');
+
+/**
+ * Create a face collection if it doesn't exist
+ */
+const createCollectionIfNotExists = async () => {
+  const collectionId = process.env.AWS_REKOGNITION_COLLECTION_ID;
+  
+  try {
+    // Check if collection exists
+    await rekognition.describeCollection({
+      CollectionId: collectionId
+    }).promise();
+    
+    console.log(`Collection ${collectionId} already exists`);
+  } catch (error) {
+    if (error.code === 'ResourceNotFoundException') {
+      // Create the collection
+      await rekognition.createCollection({
+        CollectionId: collectionId
+      }).promise();
+      
+      console.log(`Collection ${collectionId} created`);
+    } else {
+      throw error;
+    }
+  }
+};
+
+/**
+ * Index a face in the collection
+ * @param {Buffer} image - Image bytes
+ * @param {string} externalImageId - ID to associate with the face: a user
+ *   ID, or a cluster ID for unidentified faces
+ * @param {Object} [options] - Index options
+ * @param {Object} [options.boundingBox] - Only index the face inside this box
+ * @returns {Object} - Rekognition response
+ */
+const indexFace = async (image, externalImageId, options = {}) => {
+  try {
+    // Crop to the requested face and index only the largest face in the crop
+    const indexImage = options.boundingBox
+      ? await cropToBoundingBox(image, options.boundingBox)
+      : image;
+    
+    const params = {
+      CollectionId: process.env.AWS_REKOGNITION_COLLECTION_ID,
+      Image: {
+        Bytes: indexImage
+      },
+      ExternalImageId: externalImageId,
+      DetectionAttributes: ['ALL'],
+      MaxFaces: options.boundingBox ? 1 : undefined
+    };
+    
+    const response = await rekognition.indexFaces(params).promise();
+    return response;
+  } catch (error) {
+    console.error('Error indexing face:', error);
+    throw new AppError('Failed to index face', 500);
+  }
+};
+
+/**
+ * Detect faces in an image
+ * @param {Buffer} image - Image bytes
+ * @returns {Object} - Rekognition response
+ */
+const detectFaces = async (image) => {
+  try {
+    const params = {
+      Image: {
+        Bytes: image
+      },
+      Attributes: ['ALL']
+    };
+    
+    const response = await rekognition.detectFaces(params).promise();
+    return response;
+  } catch (error) {
+    console.error('Error detecting faces:', error);
+    throw new AppError('Failed to detect faces', 500);
+  }
+};
+
+/**
+ * Search for faces in the collection
+ * @param {Buffer} image - Image bytes
+ * @param {Object} [options] - Search options
+ * @param {Object} [options.boundingBox] - Only search the face inside this box
+ * @param {number} [options.threshold] - Minimum similarity of returned matches
+ * @param {number} [options.maxFaces] - Maximum number of matches to return
+ * @returns {Object} - Rekognition response
+ */
+const searchFaces = async (image, options = {}) => {
+  try {
+    // searchFacesByImage only looks at the largest face, so crop to the
+    // requested face when one is given
+    const searchImage = options.boundingBox
+      ? await cropToBoundingBox(image, options.boundingBox)
+      : image;
+    
+    const params = {
+      CollectionId: process.env.AWS_REKOGNITION_COLLECTION_ID,
+      Image: {
+        Bytes: searchImage
+      },
+      MaxFaces: options.maxFaces || 5,
+      FaceMatchThreshold: options.threshold !== undefined ? options.threshold : 90
+    };
+    
+    const response = await rekognition.searchFacesByImage(params).promise();
+    return response;
+  } catch (error) {
+    // Rekognition rejects crops in which it cannot find a face
+    if (error.code === 'InvalidParameterException') {
+      return { FaceMatches: [] };
+    }
+    
+    console.error('Error searching faces:', error);
+    throw new AppError('Failed to search faces', 500);
+  }
+};
+
+/**
+ * Delete faces from the collection
+ * @param {string[]} faceIds - IDs of the faces to delete
+ * @returns {Object} - Rekognition response
+ */
+const deleteFaces = async (faceIds) => {
+  if (faceIds.length === 0) {
+    return { DeletedFaces: [] };
+  }
+  
+  try {
+    const params = {
+      CollectionId: process.env.AWS_REKOGNITION_COLLECTION_ID,
+      FaceIds: faceIds
+    };
+    
+    const response = await rekognition.deleteFaces(params).promise();
+    return response;
+  } catch (error) {
+    console.error('Error deleting faces:', error);
+    throw new AppError('Failed to delete faces', 500);
+  }
+};
+
+module.exports = {
+  createCollectionIfNotExists,
+  indexFace,
+  detectFaces,
+  searchFaces,
+  deleteFaces
+};
\ No newline at end of file
@@ -0,0 +1,52 @@
+/**
+ * File storage provider
+ *
+ * Selects where uploaded files are kept from the STORAGE_PROVIDER
+ * environment variable. Files are addressed by a storage key, which for
+ * photos is the generated filename.
+ */
+const providers = {
+  local: () => require('./local'),
+  s3: () => require('./s3'),
+  memory: () => require('./memory')
+};
+
+let provider = null;
+
+/**
+ * Load a storage provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} - Storage provider module
+ */
+const loadProvider = (name) => {
+  const load = providers[name];
+
+  if (!load) {
+    throw new Error(`Unknown storage provider: ${name}`);
+  }
+
+  return load();
+};
+
+/**
+ * Get the configured storage provider
+ * @returns {Object} - Storage provider module
+ */
+const getProvider = () => {
+  if (!provider) {
+    provider = loadProvider(process.env.STORAGE_PROVIDER || 'local');
+  }
+
+  return provider;
+};
+
+module.exports = {
+  loadProvider,
+  getProvider,
+  save: (...args) => getProvider().save(...args),
+  read: (...args) => getProvider().read(...args),
+  exists: (...args) => getProvider().exists(...args),
+  stat: (...args) => getProvider().stat(...args),
+  createReadStream: (...args) => getProvider().createReadStream(...args),
+  remove: (...args) => getProvider().remove(...args)
+};
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local disk storage
+ *
+ * Stores files under UPLOAD_DIR, using the storage key as the relative path.
+ */
+
+const getRoot = () => path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+/**
+ * Resolve a storage key to a path inside the upload directory
+ * @param {string} key - Storage key
+ * @returns {string} - Absolute file path
+ */
+const resolveKey = (key) => {
+  const root = getRoot();
+  const filePath = path.resolve(root, key);
+
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+
+  return filePath;
+};
+
+/**
+ * Save a file
+ * @param {string} key - Storage key
+ * @param {Buffer} data - File contents
+ * @returns {Promise<string>} - Storage key
+ */
+const save = async (key, data) => {
+  const filePath = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, data);
+  return key;
+};
+
+/**
+ * Read a file
+ * @param {string} key - Storage key
+ * @returns {Promise<Buffer>} - File contents
+ */
+const read = async (key) => fs.promises.readFile(resolveKey(key));
+
+/**
+ * Check whether a file exists
+ * @param {string} key - Storage key
+ * @returns {Promise<boolean>}
+ */
+const exists = async (key) => fs.existsSync(resolveKey(key));
+
+/**
+ * Get file size and modification time
+ * @param {string} key - Storage key
+ * @returns {Promise<Object>} - { size, lastModified }
+ */
+const stat = async (key) => {
+  const stats = await fs.promises.stat(resolveKey(key));
+  return {
+    size: stats.size,
+    lastModified: stats.mtime
+  };
+};
+
+/**
+ * Open a stream over a file or a byte range of it
+ * @param {string} key - Storage key
+ * @param {Object} [range] - Inclusive byte range ({ start, end })
+ * @returns {Promise<stream.Readable>} - File stream
+ */
+const createReadStream = async (key, range) => fs.createReadStream(resolveKey(key), range);
+
+/**
+ * Delete a file, ignoring files that do not exist
+ * @param {string} key - Storage key
+ */
+const remove = async (key) => {
+  const filePath = resolveKey(key);
+
+  if (fs.existsSync(filePath)) {
+    await fs.promises.unlink(filePath);
+  }
+};
+
+module.exports = {
+  save,
+  read,
+  exists,
+  stat,
+  createReadStream,
+  remove
+};
@@ -0,0 +1,101 @@
+const { Readable } = require('stream');
+
+/**
+ * In-memory storage
+ *
+ * Keeps files in process memory. Intended for tests; contents are lost when
+ * the process exits and are not shared between instances.
+ */
+
+const files = new Map();
+
+const getFile = (key) => {
+  const file = files.get(key);
+
+  if (!file) {
+    throw new Error(`File not found: ${key}`);
+  }
+
+  return file;
+};
+
+/**
+ * Save a file
+ * @param {string} key - Storage key
+ * @param {Buffer} data - File contents
+ * @param {Object} [options] - Save options
+ * @param {string} [options.contentType] - MIME type of the file
+ * @returns {Promise<string>} - Storage key
+ */
+const save = async (key, data, options = {}) => {
+  files.set(key, {
+    data: Buffer.from(data),
+    contentType: options.contentType,
+    lastModified: new Date()
+  });
+  return key;
+};
+
+/**
+ * Read a file
+ * @param {string} key - Storage key
+ * @returns {Promise<Buffer>} - File contents
+ */
+const read = async (key) => getFile(key).data;
+
+/**
+ * Check whether a file exists
+ * @param {string} key - Storage key
+ * @returns {Promise<boolean>}
+ */
+const exists = async (key) => files.has(key);
+
+/**
+ * Get file size and modification time
+ * @param {string} key - Storage key
+ * @returns {Promise<Object>} - { size, lastModified }
+ */
+const stat = async (key) => {
+  const file = getFile(key);
+  return {
+    size: file.data.length,
+    lastModified: file.lastModified
+  };
+};
+
+/**
+ * Open a stream over a file or a byte range of it
+ * @param {string} key - Storage key
+ * @param {Object} [range] - Inclusive byte range ({ start, end })
+ * @returns {Promise<stream.Readable>} - File stream
+ */
+const createReadStream = async (key, range) => {
+  const { data } = getFile(key);
+  const chunk = range ? data.subarray(range.start, range.end + 1) : data;
+  return Readable.from([chunk]);
+};
+
+/**
+ * Delete a file, ignoring files that do not exist
+ * @param {string} key - Storage key
+ */
+const remove = async (key) => {
+  files.delete(key);
+};
+
+/**
+ * Remove every stored file
+ */
+const clear = () => {
+  files.clear();
+};
+
+module.exports = {
+  save,
+  read,
+  exists,
+  stat,
+  createReadStream,
+  remove,
+  clear
+};
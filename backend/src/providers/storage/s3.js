@@ -0,0 +1,115 @@
+const { s3 } = require('../../config/aws');
+
+/**
+ * S3 storage
+ *
+ * Stores files in S3_BUCKET under an optional S3_PREFIX. Works with any
+ * S3-compatible object store through S3_ENDPOINT.
+ */
+
+const getBucket = () => process.env.S3_BUCKET;
+
+const getObjectKey = (key) => `${process.env.S3_PREFIX || ''}${key}`;
+
+/**
+ * Save a file
+ * @param {string} key - Storage key
+ * @param {Buffer} data - File contents
+ * @param {Object} [options] - Save options
+ * @param {string} [options.contentType] - MIME type of the file
+ * @returns {Promise<string>} - Storage key
+ */
+const save = async (key, data, options = {}) => {
+  await s3.putObject({
+    Bucket: getBucket(),
+    Key: getObjectKey(key),
+    Body: data,
+    ContentType: options.contentType
+  }).promise();
+
+  return key;
+};
+
+/**
+ * Read a file
+ * @param {string} key - Storage key
+ * @returns {Promise<Buffer>} - File contents
+ */
+const read = async (key) => {
+  const response = await s3.getObject({
+    Bucket: getBucket(),
+    Key: getObjectKey(key)
+  }).promise();
+
+  return response.Body;
+};
+
+/**
+ * Check whether a file exists
+ * @param {string} key - Storage key
+ * @returns {Promise<boolean>}
+ */
+const exists = async (key) => {
+  try {
+    await s3.headObject({
+      Bucket: getBucket(),
+      Key: getObjectKey(key)
+    }).promise();
+
+    return true;
+  } catch (error) {
+    if (error.code === 'NotFound') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get file size and modification time
+ * @param {string} key - Storage key
+ * @returns {Promise<Object>} - { size, lastModified }
+ */
+const stat = async (key) => {
+  const response = await s3.headObject({
+    Bucket: getBucket(),
+    Key: getObjectKey(key)
+  }).promise();
+
+  return {
+    size: response.ContentLength,
+    lastModified: response.LastModified
+  };
+};
+
+/**
+ * Open a stream over a file or a byte range of it
+ * @param {string} key - Storage key
+ * @param {Object} [range] - Inclusive byte range ({ start, end })
+ * @returns {Promise<stream.Readable>} - File stream
+ */
+const createReadStream = async (key, range) => s3.getObject({
+  Bucket: getBucket(),
+  Key: getObjectKey(key),
+  Range: range ? `bytes=${range.start}-${range.end}` : undefined
+}).createReadStream();
+
+/**
+ * Delete a file. S3 does not report missing keys as errors.
+ * @param {string} key - Storage key
+ */
+const remove = async (key) => {
+  await s3.deleteObject({
+    Bucket: getBucket(),
+    Key: getObjectKey(key)
+  }).promise();
+};
+
+module.exports = {
+  save,
+  read,
+  exists,
+  stat,
+  createReadStream,
+  remove
+};
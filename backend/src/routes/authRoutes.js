@@ -1,9 +1,30 @@
 const express = require('express');
 const { body } = require('express-validator');
-const { register, login, getMe, uploadProfileImage } = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
+const { 
+  register, 
+  login, 
+  getMe, 
+  refreshToken,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  uploadProfileImage,
+  getProfileImage,
+  getProfileImageUrl,
+  grantFaceConsent,
+  revokeFaceConsent,
+  getFaceEnrollment,
+  enrollFaces,
+  removeReferenceFace
+} = require('../controllers/authController');
+const { protect, protectOrSigned } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
 const upload = require('../middleware/upload');
+const { MAX_REFERENCE_FACES } = require('../utils/faceEnrollment');
 
 const router = express.Router();
 
@@ -19,7 +40,11 @@ const registerValidation = [
     .normalizeEmail(),
   body('password')
     .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters')
+    .withMessage('Password must be at least 6 characters'),
+  body('inviteCode')
+    .optional()
+    .isString()
+    .withMessage('Invite code must be a string')
 ];
 
 const loginValidation = [
@@ -29,13 +54,61 @@ const loginValidation = [
     .normalizeEmail(),
   body('password')
     .notEmpty()
-    .withMessage('Password is required')
+    .withMessage('Password is required'),
+  body('inviteCode')
+    .optional()
+    .isString()
+    .withMessage('Invite code must be a string')
+];
+
+const refreshValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .withMessage('Please include a valid email')
+    .normalizeEmail()
+];
+
+const resetPasswordValidation = [
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters')
+];
+
+const changePasswordValidation = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters')
 ];
 
 // Routes
 router.post('/register', registerValidation, validate, register);
 router.post('/login', loginValidation, validate, login);
+router.post('/refresh', refreshValidation, validate, refreshToken);
+router.post('/logout', protect, logout);
+router.post('/logout-all', protect, logoutAll);
+router.post('/verify-email/resend', protect, resendVerificationEmail);
+router.post('/verify-email/:token', verifyEmail);
+router.post('/forgot-password', forgotPasswordValidation, validate, forgotPassword);
+router.put('/reset-password/:token', resetPasswordValidation, validate, resetPassword);
+router.put('/password', protect, changePasswordValidation, validate, changePassword);
 router.get('/me', protect, getMe);
 router.post('/profile-image', protect, upload.single('image'), uploadProfileImage);
+router.get('/profile-image/:userId', protectOrSigned(req => `profile:${req.params.userId}`), getProfileImage);
+router.get('/profile-image/:userId/url', protect, getProfileImageUrl);
+router.post('/face-consent', protect, grantFaceConsent);
+router.delete('/face-consent', protect, revokeFaceConsent);
+router.get('/faces', protect, getFaceEnrollment);
+router.post('/faces', protect, upload.array('images', MAX_REFERENCE_FACES), enrollFaces);
+router.delete('/faces/:faceId', protect, removeReferenceFace);
 
 module.exports = router;
\ No newline at end of file
@@ -1,5 +1,5 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const { 
   createEvent, 
   getEvents, 
@@ -8,10 +8,18 @@ const {
   deleteEvent,
   addInvitees,
   removeInvitee,
-  respondToInvite
+  respondToInvite,
+  updateInviteeRole,
+  transferOwnership,
+  restoreEvent,
+  EVENT_SORT_FIELDS
 } = require('../controllers/eventController');
+const { getFaceClusters, assignFaceCluster } = require('../controllers/faceClusterController');
+const { createShareLink, getShareLinks, revokeShareLink } = require('../controllers/shareLinkController');
 const { protect } = require('../middleware/auth');
+const { loadEvent, authorize } = require('../middleware/policy');
 const { validate } = require('../middleware/validate');
+const { paginationValidation } = require('../utils/pagination');
 
 const router = express.Router();
 
@@ -29,13 +37,56 @@ const eventValidation = [
   body('location')
     .notEmpty()
     .withMessage('Event location is required')
-    .trim()
+    .trim(),
+  body('duplicatePolicy')
+    .optional()
+    .isIn(['reject', 'flag', 'merge'])
+    .withMessage('Duplicate policy must be reject, flag or merge'),
+  body('stripGpsMetadata')
+    .optional()
+    .isBoolean()
+    .withMessage('stripGpsMetadata must be a boolean'),
+  body('faceMatching.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('faceMatching.enabled must be a boolean'),
+  body('faceMatching.matchThreshold')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Match threshold must be between 0 and 100'),
+  body('faceMatching.suggestionThreshold')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Suggestion threshold must be between 0 and 100')
 ];
 
 const inviteValidation = [
   body('invitees')
     .isArray()
-    .withMessage('Invitees must be an array')
+    .withMessage('Invitees must be an array'),
+  body('invitees.*.role')
+    .optional()
+    .isIn(['viewer', 'contributor', 'co-host'])
+    .withMessage('Role must be viewer, contributor or co-host'),
+  // Normalized like the addresses users register with, so invitations
+  // are matched to their accounts
+  body('invitees.*.email')
+    .optional()
+    .isEmail()
+    .withMessage('Please include a valid email')
+    .normalizeEmail()
+];
+
+const roleValidation = [
+  body('role')
+    .isIn(['viewer', 'contributor', 'co-host'])
+    .withMessage('Role must be viewer, contributor or co-host')
+];
+
+const ownerValidation = [
+  body('userId')
+    .isMongoId()
+    .withMessage('A valid userId is required')
 ];
 
 const respondValidation = [
@@ -47,21 +98,93 @@ const respondValidation = [
     .withMessage('Invite code is required')
 ];
 
+const clusterAssignValidation = [
+  body('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid userId'),
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Please include a valid email')
+    .normalizeEmail()
+];
+
+const listValidation = [
+  ...paginationValidation(EVENT_SORT_FIELDS),
+  query('dateFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid dateFrom date'),
+  query('dateTo')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid dateTo date'),
+  query('role')
+    .optional()
+    .isIn(['owner', 'invited'])
+    .withMessage('Role must be owner or invited')
+];
+
+const deleteValidation = [
+  query('archive')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Archive must be true or false')
+];
+
+const shareLinkValidation = [
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid expiry date'),
+  body('password')
+    .optional()
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters'),
+  body('allowDownload')
+    .optional()
+    .isBoolean()
+    .withMessage('allowDownload must be a boolean')
+    .toBoolean(),
+  body('photoIds')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('photoIds must be a non-empty array'),
+  body('photoIds.*')
+    .isMongoId()
+    .withMessage('Invalid photo ID')
+];
+
 // Apply auth middleware to all routes
 router.use(protect);
 
 // Routes
 router.route('/')
-  .get(getEvents)
+  .get(listValidation, validate, getEvents)
   .post(eventValidation, validate, createEvent);
 
+// Every route below acts on the event in :id
+router.use('/:id', loadEvent());
+
 router.route('/:id')
-  .get(getEvent)
-  .put(eventValidation, validate, updateEvent)
-  .delete(deleteEvent);
+  .get(authorize('event:view'), getEvent)
+  .put(authorize('event:update'), eventValidation, validate, updateEvent)
+  .delete(authorize('event:delete'), deleteValidation, validate, deleteEvent);
 
-router.post('/:id/invitees', inviteValidation, validate, addInvitees);
-router.delete('/:id/invitees/:inviteeId', removeInvitee);
+router.post('/:id/restore', authorize('event:delete'), restoreEvent);
+
+router.post('/:id/invitees', authorize('event:invite'), inviteValidation, validate, addInvitees);
+router.delete('/:id/invitees/:inviteeId', authorize('event:invite'), removeInvitee);
+router.put('/:id/invitees/:inviteeId/role', authorize('event:invite'), roleValidation, validate, updateInviteeRole);
+router.put('/:id/owner', authorize('event:transfer'), ownerValidation, validate, transferOwnership);
 router.put('/:id/invite-response', respondValidation, validate, respondToInvite);
+router.get('/:id/face-clusters', authorize('event:moderate'), getFaceClusters);
+router.put('/:id/face-clusters/:clusterId/assign', authorize('event:moderate'), clusterAssignValidation, validate, assignFaceCluster);
+
+router.route('/:id/share-links')
+  .get(authorize('event:share'), getShareLinks)
+  .post(authorize('event:share'), shareLinkValidation, validate, createShareLink);
+router.delete('/:id/share-links/:linkId', authorize('event:share'), revokeShareLink);
 
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,8 @@
 const express = require('express');
-const { body } = require('express-validator');
-const { sendInvitations, verifyInvitation } = require('../controllers/inviteController');
+const { body, query } = require('express-validator');
+const { sendInvitations, previewInvitation, verifyInvitation } = require('../controllers/inviteController');
 const { protect } = require('../middleware/auth');
+const { loadEvent, authorize } = require('../middleware/policy');
 const { validate } = require('../middleware/validate');
 
 const router = express.Router();
@@ -15,10 +16,18 @@ const inviteValidation = [
     .withMessage('InviteeIds cannot be empty')
 ];
 
+const previewValidation = [
+  query('format')
+    .optional()
+    .isIn(['json', 'html'])
+    .withMessage('Format must be json or html')
+];
+
 // Public routes
 router.get('/verify/:eventId/:code', verifyInvitation);
 
 // Protected routes
-router.post('/:eventId', protect, inviteValidation, validate, sendInvitations);
+router.get('/:eventId/preview', protect, loadEvent('eventId'), authorize('event:invite'), previewValidation, validate, previewInvitation);
+router.post('/:eventId', protect, loadEvent('eventId'), authorize('event:invite'), inviteValidation, validate, sendInvitations);
 
 module.exports = router;
\ No newline at end of file
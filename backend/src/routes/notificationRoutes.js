@@ -1,18 +1,67 @@
 const express = require('express');
+const { body, param, query } = require('express-validator');
 const { 
   getUserNotifications, 
   markAsRead, 
-  deleteNotification 
+  deleteNotification,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  getUnsubscribePage,
+  unsubscribe,
+  NOTIFICATION_SORT_FIELDS,
+  PREFERENCE_TYPES
 } = require('../controllers/notificationController');
+const Notification = require('../models/Notification');
 const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { paginationValidation } = require('../utils/pagination');
 
 const router = express.Router();
 
+// Validation rules
+const listValidation = [
+  ...paginationValidation(NOTIFICATION_SORT_FIELDS),
+  query('unread')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Unread must be true or false'),
+  query('type')
+    .optional()
+    .isIn(Notification.schema.path('type').enumValues)
+    .withMessage('Invalid notification type')
+];
+
+const preferencesValidation = [
+  ...PREFERENCE_TYPES.map(type =>
+    body(type)
+      .optional()
+      .isIn(['in_app', 'email', 'none'])
+      .withMessage(`${type} must be in_app, email or none`)
+  ),
+  body('digest')
+    .optional()
+    .isIn(['off', 'hourly', 'daily'])
+    .withMessage('Digest must be off, hourly or daily')
+];
+
+const unsubscribeValidation = [
+  param('type')
+    .isIn([...PREFERENCE_TYPES, 'all'])
+    .withMessage('Invalid notification type')
+];
+
+// Unsubscribe links in emails work without logging in. Only POST changes
+// preferences; GET shows a page that posts.
+router.get('/unsubscribe/:userId/:type', unsubscribeValidation, validate, getUnsubscribePage);
+router.post('/unsubscribe/:userId/:type', unsubscribeValidation, validate, unsubscribe);
+
 // Apply auth middleware to all routes
 router.use(protect);
 
 // Routes
-router.get('/', getUserNotifications);
+router.get('/', listValidation, validate, getUserNotifications);
+router.get('/preferences', getNotificationPreferences);
+router.put('/preferences', preferencesValidation, validate, updateNotificationPreferences);
 router.put('/:id/read', markAsRead);
 router.delete('/:id', deleteNotification);
 
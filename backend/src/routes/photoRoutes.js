@@ -1,22 +1,104 @@
 const express = require('express');
+const { body, query } = require('express-validator');
 const { 
   uploadPhotos, 
   getEventPhotos, 
   getUserPhotos, 
-  deletePhoto 
+  deletePhoto,
+  reprocessPhoto,
+  getPhotoFile,
+  getPhotoFileUrl,
+  getEventDuplicates,
+  getEventArchive,
+  PHOTO_SORT_FIELDS
 } = require('../controllers/photoController');
-const { protect } = require('../middleware/auth');
+const {
+  confirmFace,
+  assignFace,
+  removeFaceTag,
+  getFaceCrop
+} = require('../controllers/faceController');
+const { protect, protectOrSigned } = require('../middleware/auth');
+const { loadEvent, loadPhoto, authorize } = require('../middleware/policy');
+const { validate } = require('../middleware/validate');
+const { paginationValidation } = require('../utils/pagination');
 const upload = require('../middleware/upload');
 
 const router = express.Router();
 
-// Apply auth middleware to all routes
+// Validation rules
+const fileValidation = [
+  query('variant')
+    .optional()
+    .isIn(['thumbnail', 'medium', 'original'])
+    .withMessage('Variant must be thumbnail, medium or original'),
+  query('format')
+    .optional()
+    .isIn(['jpeg', 'webp'])
+    .withMessage('Format must be jpeg or webp')
+];
+
+const takenAtValidation = [
+  query('takenFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid takenFrom date'),
+  query('takenTo')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid takenTo date')
+];
+
+const eventPhotosValidation = [
+  ...paginationValidation(PHOTO_SORT_FIELDS),
+  ...takenAtValidation,
+  query('uploader')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid uploader'),
+  query('taggedUser')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid taggedUser'),
+  query('processed')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Processed must be true or false')
+];
+
+const userPhotosValidation = [
+  ...paginationValidation(PHOTO_SORT_FIELDS),
+  ...takenAtValidation,
+  query('event')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid event')
+];
+
+const assignValidation = [
+  body('userId')
+    .isMongoId()
+    .withMessage('A valid userId is required')
+];
+
+// File route, also reachable through a signed URL
+router.get('/:id/file', protectOrSigned(req => `photo:${req.params.id}`), loadPhoto(), authorize('photo:view'), fileValidation, validate, getPhotoFile);
+router.get('/:id/faces/:faceId/crop', protectOrSigned(req => `photo:${req.params.id}`), loadPhoto(), authorize('photo:view'), getFaceCrop);
+
+// Apply auth middleware to all other routes
 router.use(protect);
 
 // Routes
-router.post('/upload/:eventId', upload.array('photos', 10), uploadPhotos);
-router.get('/event/:eventId', getEventPhotos);
-router.get('/user', getUserPhotos);
-router.delete('/:id', deletePhoto);
+router.post('/upload/:eventId', loadEvent('eventId'), authorize('photo:upload'), upload.array('photos', 10), uploadPhotos);
+router.get('/event/:eventId', loadEvent('eventId'), authorize('photo:view'), eventPhotosValidation, validate, getEventPhotos);
+router.get('/event/:eventId/duplicates', loadEvent('eventId'), authorize('event:moderate'), getEventDuplicates);
+router.get('/event/:eventId/archive', loadEvent('eventId'), authorize('photo:view'), getEventArchive);
+router.get('/user', userPhotosValidation, validate, getUserPhotos);
+router.delete('/:id', loadPhoto(), authorize('photo:delete'), deletePhoto);
+router.post('/:id/reprocess', loadPhoto(), authorize('event:moderate'), reprocessPhoto);
+router.get('/:id/file/url', loadPhoto(), authorize('photo:view'), getPhotoFileUrl);
+router.put('/:id/faces/:faceId/confirm', loadPhoto(), authorize('photo:view'), confirmFace);
+router.put('/:id/faces/:faceId/assign', loadPhoto(), authorize('photo:tag'), assignValidation, validate, assignFace);
+router.delete('/:id/faces/:faceId/tag', loadPhoto(), authorize('photo:view'), removeFaceTag);
 
 module.exports = router;
\ No newline at end of file
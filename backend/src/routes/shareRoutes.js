@@ -0,0 +1,34 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const { getSharedAlbum, getSharedPhotoFile } = require('../controllers/shareLinkController');
+const { loadShareLink } = require('../middleware/shareLink');
+const { validate } = require('../middleware/validate');
+
+const router = express.Router();
+
+// Validation rules
+const fileValidation = [
+  param('photoId')
+    .isMongoId()
+    .withMessage('Invalid photo ID'),
+  query('variant')
+    .optional()
+    .isIn(['thumbnail', 'medium', 'original'])
+    .withMessage('Variant must be thumbnail, medium or original'),
+  query('format')
+    .optional()
+    .isIn(['jpeg', 'webp'])
+    .withMessage('Format must be jpeg or webp')
+];
+
+// Public routes, authorized by the share token
+router.get('/:token', loadShareLink(), getSharedAlbum);
+router.get(
+  '/:token/photos/:photoId/file',
+  fileValidation,
+  validate,
+  loadShareLink((req, shareLink) => shareLink.getPhotoResource(req.params.photoId)),
+  getSharedPhotoFile
+);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const { getStreamUrl, openStream, streamResource } = require('../controllers/streamController');
+const { protect, protectOrSigned } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const router = express.Router();
+
+// Validation rules
+const streamValidation = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  query('events')
+    .optional()
+    .custom(value => value.split(',').every(id => /^[0-9a-f]{24}$/i.test(id)))
+    .withMessage('Events must be a comma-separated list of event IDs')
+];
+
+// Routes
+router.get('/url', protect, getStreamUrl);
+router.get(
+  '/:userId',
+  protectOrSigned(req => streamResource(req.params.userId, req.query.session, req.query.tv)),
+  streamValidation,
+  validate,
+  openStream
+);
+
+module.exports = router;
@@ -0,0 +1,54 @@
+/**
+ * Generate variants, read EXIF metadata and compute duplicate-detection
+ * hashes for photos uploaded before these were recorded
+ *
+ * Usage: npm run backfill:variants [-- --all]
+ *
+ * Only photos missing any of these are processed unless --all is given, so
+ * the command can be re-run safely.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDatabase } = require('../config/database');
+const { generatePhotoVariants } = require('../jobs/generateVariants');
+const Photo = require('../models/Photo');
+
+const run = async () => {
+  const all = process.argv.includes('--all');
+
+  await connectDatabase();
+
+  try {
+    const query = all ? {} : {
+      $or: [
+        { 'variants.0': { $exists: false } },
+        { 'metadata.width': null },
+        { contentHash: null }
+      ]
+    };
+    const photos = await Photo.find(query);
+    let generated = 0;
+    let failed = 0;
+
+    for (const photo of photos) {
+      try {
+        // Photos deleted meanwhile are skipped
+        if (await generatePhotoVariants(photo)) {
+          generated++;
+        }
+      } catch (error) {
+        failed++;
+        console.error(`Photo ${photo._id}: ${error.message}`);
+      }
+    }
+
+    console.log(`Generated variants for ${generated} photos, ${failed} failed`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error('Variant backfill failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+/**
+ * Move single profile faces into the reference faces list
+ *
+ * Usage: npm run migrate:faces
+ *
+ * Users indexed before several reference faces were supported hold one face
+ * in `faceId`. Each is moved into `referenceFaces` as the face of the
+ * current profile image. Already migrated users are untouched, so the
+ * command can be re-run safely.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDatabase } = require('../config/database');
+const User = require('../models/User');
+
+const migrate = async () => {
+  // faceId is no longer part of the schema, so go through the collection
+  const result = await User.collection.updateMany(
+    { faceId: { $type: 'string' } },
+    [
+      {
+        $set: {
+          referenceFaces: {
+            $concatArrays: [
+              { $ifNull: ['$referenceFaces', []] },
+              [{
+                faceId: '$faceId',
+                image: '$profileImage',
+                source: 'profile',
+                enrolledAt: '$$NOW'
+              }]
+            ]
+          }
+        }
+      },
+      { $unset: 'faceId' }
+    ]
+  );
+
+  // Users whose face was cleared only need the old field removed
+  await User.collection.updateMany({ faceId: null }, { $unset: { faceId: '' } });
+
+  console.log(`Migrated ${result.modifiedCount} users`);
+};
+
+const run = async () => {
+  await connectDatabase();
+
+  try {
+    await migrate();
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error('Reference face migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,139 @@
+/**
+ * Copy uploaded files from one storage provider to another
+ *
+ * Usage: npm run migrate:storage -- --from local --to s3 [--delete-source]
+ *
+ * Copies every photo, photo variant, profile image and face enrollment
+ * photo, skipping files that already exist in the target, so the command can
+ * be re-run safely. Profile images saved before storage providers existed
+ * hold a file path and are rewritten to a storage key.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDatabase } = require('../config/database');
+const { loadProvider } = require('../providers/storage');
+const Photo = require('../models/Photo');
+const User = require('../models/User');
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} - Parsed options
+ */
+const parseArgs = (args) => {
+  const options = { deleteSource: false };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--from') {
+      options.from = args[++i];
+    } else if (args[i] === '--to') {
+      options.to = args[++i];
+    } else if (args[i] === '--delete-source') {
+      options.deleteSource = true;
+    }
+  }
+
+  return options;
+};
+
+/**
+ * Copy a single file between providers
+ * @param {Object} source - Source storage provider
+ * @param {Object} target - Target storage provider
+ * @param {string} key - Storage key
+ * @param {Object} options - Migration options
+ * @returns {Promise<string>} - Outcome: copied, skipped or missing
+ */
+const migrateFile = async (source, target, key, options) => {
+  if (await target.exists(key)) {
+    return 'skipped';
+  }
+
+  if (!(await source.exists(key))) {
+    return 'missing';
+  }
+
+  await target.save(key, await source.read(key));
+
+  if (options.deleteSource) {
+    await source.remove(key);
+  }
+
+  return 'copied';
+};
+
+const migrate = async (options) => {
+  const source = loadProvider(options.from);
+  const target = loadProvider(options.to);
+  const counts = { copied: 0, skipped: 0, missing: 0 };
+
+  const photos = await Photo.find().select('filename variants');
+  for (const photo of photos) {
+    const keys = [photo.filename, ...photo.variants.map(variant => variant.key)];
+
+    for (const key of keys) {
+      const outcome = await migrateFile(source, target, key, options);
+      counts[outcome]++;
+
+      if (outcome === 'missing') {
+        console.warn(`Photo ${photo._id}: file ${key} not found`);
+      }
+    }
+  }
+
+  const users = await User.find({ profileImage: { $ne: null } }).select('profileImage');
+  for (const user of users) {
+    // Older profile images stored the full upload path
+    const key = user.getProfileImageKey();
+    if (key !== user.profileImage) {
+      await User.updateOne({ _id: user._id }, { profileImage: key });
+    }
+
+    const outcome = await migrateFile(source, target, key, options);
+    counts[outcome]++;
+
+    if (outcome === 'missing') {
+      console.warn(`User ${user._id}: profile image ${key} not found`);
+    }
+  }
+
+  const enrolledUsers = await User.find({ 'referenceFaces.source': 'enrollment' }).select('referenceFaces');
+  for (const user of enrolledUsers) {
+    const keys = user.referenceFaces
+      .filter(face => face.source === 'enrollment' && face.image)
+      .map(face => face.image);
+
+    for (const key of keys) {
+      const outcome = await migrateFile(source, target, key, options);
+      counts[outcome]++;
+
+      if (outcome === 'missing') {
+        console.warn(`User ${user._id}: enrollment photo ${key} not found`);
+      }
+    }
+  }
+
+  console.log(`Copied ${counts.copied}, skipped ${counts.skipped}, missing ${counts.missing}`);
+};
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options.from || !options.to || options.from === options.to) {
+    console.error('Usage: npm run migrate:storage -- --from <provider> --to <provider> [--delete-source]');
+    process.exit(1);
+  }
+
+  await connectDatabase();
+
+  try {
+    await migrate(options);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error('Storage migration failed:', error);
+  process.exit(1);
+});
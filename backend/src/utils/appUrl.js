@@ -0,0 +1,24 @@
+/**
+ * Public base URLs for links handed out to users, e.g. in emails
+ *
+ * Links are never built from the request's Host header, which the client
+ * controls: a forged host would send tokens to another site.
+ */
+
+/**
+ * Get the public URL of the API
+ * @returns {string}
+ */
+const getApiUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+/**
+ * Get the public URL of the web app, whose pages take tokens from links and
+ * call the API with them
+ * @returns {string}
+ */
+const getClientUrl = () => process.env.CLIENT_URL || getApiUrl();
+
+module.exports = {
+  getApiUrl,
+  getClientUrl
+};
@@ -0,0 +1,209 @@
+const FaceCluster = require('../models/FaceCluster');
+const Photo = require('../models/Photo');
+const { indexFace, deleteFaces } = require('../providers/face');
+const { createNotification } = require('../controllers/notificationController');
+
+// Minimum similarity for an unidentified face to join an existing cluster
+const CLUSTER_THRESHOLD = parseFloat(process.env.FACE_CLUSTER_THRESHOLD) || 90;
+
+/**
+ * Get the ID unidentified faces of a cluster are indexed under. The event
+ * is part of it so searches only group faces within one event.
+ * @param {string} eventId - Event ID
+ * @param {string} clusterId - Cluster ID
+ * @returns {string} - External image ID
+ */
+const getClusterExternalId = (eventId, clusterId) => `cluster:${eventId}:${clusterId}`;
+
+/**
+ * Put an unidentified face into the event cluster it looks most like, or
+ * into a new cluster, and index it so later faces can join the cluster
+ * @param {Buffer} image - Photo image bytes
+ * @param {Object} event - Event document
+ * @param {Object} face - Detected face to cluster; updated in place
+ * @param {Object} boundingBox - Provider bounding box of the face
+ * @param {Object} searchResult - Face search response for the face
+ * @returns {Promise<Object|null>} - Cluster created for the face, if any
+ */
+const addToCluster = async (image, event, face, boundingBox, searchResult) => {
+  // Faces of users who withdrew consent are never indexed again
+  if (face.status === 'suppressed') {
+    return null;
+  }
+
+  const prefix = getClusterExternalId(event._id, '');
+  const match = (searchResult.FaceMatches || []).find(faceMatch =>
+    faceMatch.Face.ExternalImageId.startsWith(prefix) &&
+    faceMatch.Similarity >= CLUSTER_THRESHOLD
+  );
+
+  const cluster = match
+    ? { _id: match.Face.ExternalImageId.slice(prefix.length), isNew: false }
+    : new FaceCluster({ event: event._id });
+
+  const indexResult = await indexFace(image, getClusterExternalId(event._id, cluster._id), {
+    boundingBox
+  });
+  const faceRecords = indexResult.FaceRecords || [];
+
+  if (faceRecords.length === 0) {
+    return null;
+  }
+
+  const isNew = cluster.isNew;
+  if (isNew) {
+    await cluster.save();
+  }
+
+  face.cluster = cluster._id;
+  face.clusterFaceId = faceRecords[0].Face.FaceId;
+
+  return isNew ? cluster : null;
+};
+
+/**
+ * Take faces out of their clusters and delete them from the face
+ * collection, e.g. once they are identified
+ * @param {Object[]} faces - Detected faces; updated in place
+ */
+const releaseClusterFaces = async (faces) => {
+  const faceIds = faces
+    .filter(face => face.clusterFaceId)
+    .map(face => face.clusterFaceId);
+
+  if (faceIds.length > 0) {
+    await deleteFaces(faceIds);
+  }
+
+  for (const face of faces) {
+    face.cluster = null;
+    face.clusterFaceId = null;
+  }
+};
+
+/**
+ * Undo clustering done for faces that were never saved, e.g. because their
+ * photo was deleted while it was being processed. The faces are deleted
+ * from the face collection, and the new clusters no photo joined meanwhile
+ * are removed.
+ * @param {Object[]} faces - Faces clustered by addToCluster
+ * @param {Object[]} clusters - Clusters addToCluster created for them
+ */
+const discardClusterFaces = async (faces, clusters) => {
+  await releaseClusterFaces(faces);
+
+  for (const cluster of clusters) {
+    if (!(await Photo.exists({ 'detectedFaces.cluster': cluster._id }))) {
+      await FaceCluster.deleteOne({ _id: cluster._id });
+    }
+  }
+};
+
+/**
+ * Remove all clusters of an event and their faces from the face collection
+ * @param {Object} event - Event document
+ */
+const removeEventClusters = async (event) => {
+  const photos = await Photo.find({
+    event: event._id,
+    'detectedFaces.clusterFaceId': { $ne: null }
+  }).select('detectedFaces');
+
+  const faceIds = photos.flatMap(photo => photo.detectedFaces
+    .filter(face => face.clusterFaceId)
+    .map(face => face.clusterFaceId));
+
+  if (faceIds.length > 0) {
+    await deleteFaces(faceIds);
+  }
+
+  await FaceCluster.deleteMany({ event: event._id });
+};
+
+/**
+ * Tag a user in every photo of a cluster and dissolve the cluster. Photos
+ * the user is already tagged in, or was removed from, are skipped.
+ * @param {Object} cluster - Face cluster document
+ * @param {Object} event - Event document of the cluster
+ * @param {string} userId - User the cluster is identified as
+ * @param {string} taggedBy - ID of the user assigning the cluster
+ * @returns {Promise<number>} - Number of photos tagged
+ */
+const tagCluster = async (cluster, event, userId, taggedBy) => {
+  const photos = await Photo.find({
+    event: event._id,
+    'detectedFaces.cluster': cluster._id
+  });
+  let tagged = 0;
+
+  for (const photo of photos) {
+    const members = photo.detectedFaces.filter(face =>
+      face.cluster && face.cluster.equals(cluster._id)
+    );
+    const isTagged = photo.detectedFaces.some(face =>
+      face.user && face.user.toString() === userId && face.status !== 'unmatched'
+    );
+    const face = members.find(member =>
+      !member.user && !member.rejectedUsers.some(rejected => rejected.toString() === userId)
+    );
+
+    if (face && !isTagged) {
+      face.user = userId;
+      face.faceId = null;
+      face.confidence = null;
+      face.status = 'confirmed';
+      face.source = 'manual';
+      face.confirmedBy = taggedBy;
+      face.confirmedAt = Date.now();
+      tagged++;
+    }
+
+    await releaseClusterFaces(members);
+    await photo.save();
+  }
+
+  cluster.assignedTo = userId;
+  cluster.assignedBy = taggedBy;
+  cluster.assignedAt = Date.now();
+  await cluster.save();
+
+  if (tagged > 0 && userId !== taggedBy.toString()) {
+    await createNotification({
+      recipient: userId,
+      type: 'photo_tagged',
+      title: 'You were tagged in photos',
+      message: `You were tagged in ${tagged} photo${tagged === 1 ? '' : 's'} from ${event.name}`,
+      relatedEvent: event._id
+    });
+  }
+
+  return tagged;
+};
+
+/**
+ * Tag an invitee who just accepted in the clusters the host assigned to
+ * them before they had an account
+ * @param {Object} event - Event document
+ * @param {Object} invitee - Invitee subdocument, linked to a user
+ */
+const tagPendingClusters = async (event, invitee) => {
+  const clusters = await FaceCluster.find({
+    event: event._id,
+    assignedInvitee: invitee._id,
+    assignedTo: null
+  });
+
+  for (const cluster of clusters) {
+    await tagCluster(cluster, event, invitee.user.toString(), cluster.assignedBy);
+  }
+};
+
+module.exports = {
+  CLUSTER_THRESHOLD,
+  addToCluster,
+  releaseClusterFaces,
+  discardClusterFaces,
+  removeEventClusters,
+  tagCluster,
+  tagPendingClusters
+};
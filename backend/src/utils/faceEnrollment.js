@@ -0,0 +1,131 @@
+const storage = require('../providers/storage');
+const { detectFaces, indexFace } = require('../providers/face');
+
+const MAX_REFERENCE_FACES = parseInt(process.env.FACE_ENROLL_MAX_FACES, 10) || 5;
+
+// Minimum detection attributes for a usable reference face
+const MIN_CONFIDENCE = parseFloat(process.env.FACE_ENROLL_MIN_CONFIDENCE) || 90;
+const MIN_BRIGHTNESS = parseFloat(process.env.FACE_ENROLL_MIN_BRIGHTNESS) || 30;
+const MIN_SHARPNESS = parseFloat(process.env.FACE_ENROLL_MIN_SHARPNESS) || 20;
+const MIN_FACE_SIZE = parseFloat(process.env.FACE_ENROLL_MIN_FACE_SIZE) || 0.1;
+const MAX_POSE_ANGLE = 45;
+
+/**
+ * Check that a detection result holds exactly one face good enough to
+ * enroll
+ * @param {Object[]} faceDetails - FaceDetails from a detection response
+ * @returns {string|null} - Reason the image is rejected, or null if usable
+ */
+const checkFaceQuality = (faceDetails) => {
+  if (faceDetails.length === 0) {
+    return 'No face detected';
+  }
+
+  if (faceDetails.length > 1) {
+    return 'Image contains more than one face';
+  }
+
+  const { Confidence, BoundingBox, Quality, Pose } = faceDetails[0];
+
+  if (Confidence < MIN_CONFIDENCE) {
+    return 'Face could not be detected clearly';
+  }
+
+  if (Math.min(BoundingBox.Width, BoundingBox.Height) < MIN_FACE_SIZE) {
+    return 'Face is too small';
+  }
+
+  if (Quality && Quality.Brightness < MIN_BRIGHTNESS) {
+    return 'Image is too dark';
+  }
+
+  if (Quality && Quality.Sharpness < MIN_SHARPNESS) {
+    return 'Image is too blurry';
+  }
+
+  if (Pose && (Math.abs(Pose.Yaw) > MAX_POSE_ANGLE || Math.abs(Pose.Pitch) > MAX_POSE_ANGLE)) {
+    return 'Face is not looking at the camera';
+  }
+
+  return null;
+};
+
+/**
+ * Check a stored image and index its face as one of a user's reference
+ * faces. The user document is not saved.
+ * @param {Object} user - User document
+ * @param {string} key - Storage key of the image
+ * @param {string} source - Where the image came from: profile or enrollment
+ * @returns {Promise<Object>} - { face } when enrolled, otherwise { reason }
+ */
+const enrollReferenceFace = async (user, key, source) => {
+  let faceDetail;
+
+  try {
+    const image = await storage.read(key);
+    const detectResult = await detectFaces(image);
+    const faceDetails = detectResult.FaceDetails || [];
+    const reason = checkFaceQuality(faceDetails);
+
+    if (reason) {
+      return { reason };
+    }
+
+    faceDetail = faceDetails[0];
+
+    const indexResult = await indexFace(image, user.id);
+    const faceRecords = indexResult.FaceRecords || [];
+
+    if (faceRecords.length !== 1) {
+      return { reason: 'Face could not be indexed' };
+    }
+
+    const face = {
+      faceId: faceRecords[0].Face.FaceId,
+      image: key,
+      source,
+      confidence: faceDetail.Confidence,
+      quality: {
+        brightness: faceDetail.Quality ? faceDetail.Quality.Brightness : null,
+        sharpness: faceDetail.Quality ? faceDetail.Quality.Sharpness : null
+      },
+      enrolledAt: Date.now()
+    };
+
+    user.referenceFaces.push(face);
+
+    return { face };
+  } catch (error) {
+    console.error('Error enrolling face:', error);
+    return { reason: 'Face recognition failed, please try again' };
+  }
+};
+
+/**
+ * Summarize a user's face enrollment for clients
+ * @param {Object} user - User document
+ * @returns {Object} - Enrollment status
+ */
+const getEnrollmentStatus = (user) => {
+  let status = 'enrolled';
+
+  if (!user.faceRecognitionConsent.granted) {
+    status = 'consent_required';
+  } else if (user.referenceFaces.length === 0) {
+    status = 'not_enrolled';
+  }
+
+  return {
+    status,
+    faceCount: user.referenceFaces.length,
+    maxFaces: MAX_REFERENCE_FACES,
+    faces: user.referenceFaces
+  };
+};
+
+module.exports = {
+  MAX_REFERENCE_FACES,
+  checkFaceQuality,
+  enrollReferenceFace,
+  getEnrollmentStatus
+};
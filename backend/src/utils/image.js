@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const exifr = require('exifr');
+
+// Extra space kept around a face when cropping, as a fraction of the box size
+const FACE_CROP_MARGIN = 0.25;
+
+/**
+ * Crop an image to a face bounding box. Bounding boxes are relative to the
+ * upright image, so the image is rotated from its EXIF orientation first.
+ * @param {Buffer} image - Image bytes
+ * @param {Object} boundingBox - Ratios of the upright image size ({ Width, Height, Left, Top })
+ * @returns {Promise<Buffer>} - Cropped image as JPEG
+ */
+const cropToBoundingBox = async (image, boundingBox) => {
+  const { width: rawWidth, height: rawHeight, orientation = 1 } = await sharp(image).metadata();
+
+  // Orientations 5-8 rotate the image by 90 degrees
+  const isRotated = orientation >= 5;
+  const width = isRotated ? rawHeight : rawWidth;
+  const height = isRotated ? rawWidth : rawHeight;
+
+  const marginX = boundingBox.Width * FACE_CROP_MARGIN;
+  const marginY = boundingBox.Height * FACE_CROP_MARGIN;
+
+  const left = Math.min(width - 1, Math.max(0, Math.floor((boundingBox.Left - marginX) * width)));
+  const top = Math.min(height - 1, Math.max(0, Math.floor((boundingBox.Top - marginY) * height)));
+  const right = Math.min(width, Math.ceil((boundingBox.Left + boundingBox.Width + marginX) * width));
+  const bottom = Math.min(height, Math.ceil((boundingBox.Top + boundingBox.Height + marginY) * height));
+
+  return sharp(image)
+    .rotate()
+    .extract({
+      left,
+      top,
+      width: Math.max(1, right - left),
+      height: Math.max(1, bottom - top)
+    })
+    .jpeg()
+    .toBuffer();
+};
+
+/**
+ * Resize an image to fit within a width, keeping its aspect ratio. The
+ * image is rotated upright from its EXIF orientation.
+ * @param {Buffer} image - Image bytes
+ * @param {Object} options - Resize options
+ * @param {number} options.width - Maximum width in pixels
+ * @param {string} options.format - Output format (jpeg or webp)
+ * @returns {Promise<Object>} - { data, info } with the encoded image and its size
+ */
+const resizeImage = async (image, { width, format }) => sharp(image)
+  .rotate()
+  .resize({ width, height: width, fit: 'inside', withoutEnlargement: true })
+  .toFormat(format)
+  .toBuffer({ resolveWithObject: true });
+
+/**
+ * Read capture details from an image's EXIF data
+ * @param {Buffer} image - Image bytes
+ * @returns {Promise<Object>} - Capture time, camera, orientation, upright
+ *   dimensions and GPS position; fields missing from the image are null
+ */
+const extractMetadata = async (image) => {
+  const { width, height, orientation = 1 } = await sharp(image).metadata();
+
+  let exif = null;
+  try {
+    exif = await exifr.parse(image, { gps: true });
+  } catch (error) {
+    // Images without readable EXIF data still have dimensions
+  }
+  exif = exif || {};
+
+  // Orientations 5-8 rotate the image by 90 degrees
+  const isRotated = orientation >= 5;
+  const capturedAt = exif.DateTimeOriginal || exif.CreateDate;
+
+  return {
+    capturedAt: capturedAt instanceof Date ? capturedAt : null,
+    cameraMake: exif.Make || null,
+    cameraModel: exif.Model || null,
+    orientation,
+    width: isRotated ? height : width,
+    height: isRotated ? width : height,
+    gps: typeof exif.latitude === 'number' && typeof exif.longitude === 'number'
+      ? {
+        latitude: exif.latitude,
+        longitude: exif.longitude,
+        altitude: typeof exif.GPSAltitude === 'number' ? exif.GPSAltitude : null
+      }
+      : null
+  };
+};
+
+/**
+ * Rotate an image upright and drop all of its metadata, including GPS
+ * @param {Buffer} image - Image bytes
+ * @returns {Promise<Object>} - { data, info } with the encoded image and its size
+ */
+const normalizeImage = async (image) => {
+  const { format } = await sharp(image).metadata();
+
+  return sharp(image)
+    .rotate()
+    .toFormat(format, { quality: 95 })
+    .toBuffer({ resolveWithObject: true });
+};
+
+/**
+ * Compute hashes used to find duplicate uploads
+ * @param {Buffer} image - Image bytes
+ * @returns {Promise<Object>} - { contentHash, perceptualHash } as hex strings.
+ *   The perceptual hash is a 64-bit difference hash of the upright image, so
+ *   resized or re-encoded copies hash to nearby values.
+ */
+const computeImageHashes = async (image) => {
+  const contentHash = crypto.createHash('sha256').update(image).digest('hex');
+
+  const pixels = await sharp(image)
+    .rotate()
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  // Each bit records whether a pixel is brighter than its right neighbour
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const index = row * 9 + col;
+      hash = (hash << 1n) | (pixels[index] > pixels[index + 1] ? 1n : 0n);
+    }
+  }
+
+  return {
+    contentHash,
+    perceptualHash: hash.toString(16).padStart(16, '0')
+  };
+};
+
+/**
+ * Count the bits that differ between two perceptual hashes
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash
+ * @returns {number} - Hamming distance
+ */
+const hashDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+
+  while (diff) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+
+  return distance;
+};
+
+/**
+ * Convert a provider bounding box to the shape stored on photos
+ * @param {Object} boundingBox - Provider bounding box ({ Width, Height, Left, Top })
+ * @returns {Object} - Stored bounding box ({ width, height, left, top })
+ */
+const toBoundingBox = (boundingBox) => ({
+  width: boundingBox.Width,
+  height: boundingBox.Height,
+  left: boundingBox.Left,
+  top: boundingBox.Top
+});
+
+/**
+ * Compute how much two stored bounding boxes overlap
+ * @param {Object} a - Bounding box ({ width, height, left, top })
+ * @param {Object} b - Bounding box ({ width, height, left, top })
+ * @returns {number} - Intersection over union, from 0 to 1
+ */
+const boxOverlap = (a, b) => {
+  const width = Math.min(a.left + a.width, b.left + b.width) - Math.max(a.left, b.left);
+  const height = Math.min(a.top + a.height, b.top + b.height) - Math.max(a.top, b.top);
+
+  if (width <= 0 || height <= 0) {
+    return 0;
+  }
+
+  const intersection = width * height;
+  return intersection / (a.width * a.height + b.width * b.height - intersection);
+};
+
+module.exports = {
+  cropToBoundingBox,
+  resizeImage,
+  extractMetadata,
+  normalizeImage,
+  computeImageHashes,
+  hashDistance,
+  toBoundingBox,
+  boxOverlap
+};
@@ -0,0 +1,62 @@
+const sharp = require('sharp');
+const { cropToBoundingBox } = require('./image');
+
+const RED = { r: 255, g: 0, b: 0 };
+const BLUE = { r: 0, g: 0, b: 255 };
+
+// A 400x100 image whose left 100 pixels are red. With EXIF orientation 6 it
+// is shown upright as 100x400 with the red square at the top.
+const buildRotatedFixture = async () => {
+  const red = await sharp({ create: { width: 100, height: 100, channels: 3, background: RED } })
+    .png()
+    .toBuffer();
+
+  return sharp({ create: { width: 400, height: 100, channels: 3, background: BLUE } })
+    .composite([{ input: red, left: 0, top: 0 }])
+    .jpeg()
+    .withMetadata({ orientation: 6 })
+    .toBuffer();
+};
+
+const pixelAt = async (image, x, y) => {
+  const { data, info } = await sharp(image).raw().toBuffer({ resolveWithObject: true });
+  const index = (y * info.width + x) * info.channels;
+
+  return { r: data[index], g: data[index + 1], b: data[index + 2] };
+};
+
+describe('cropToBoundingBox', () => {
+  it('crops the box with a margin around it', async () => {
+    const image = await sharp({ create: { width: 200, height: 200, channels: 3, background: BLUE } })
+      .jpeg()
+      .toBuffer();
+
+    const crop = await cropToBoundingBox(image, { Left: 0.25, Top: 0.25, Width: 0.5, Height: 0.5 });
+
+    expect(await sharp(crop).metadata()).toMatchObject({ width: 150, height: 150, format: 'jpeg' });
+  });
+
+  it('crops rotated images relative to the upright image', async () => {
+    const image = await buildRotatedFixture();
+
+    const crop = await cropToBoundingBox(image, { Left: 0, Top: 0, Width: 1, Height: 0.25 });
+    const { width, height } = await sharp(crop).metadata();
+    const { r, b } = await pixelAt(crop, 50, 50);
+
+    expect(width).toBe(100);
+    expect(height).toBe(125);
+    expect(r).toBeGreaterThan(200);
+    expect(b).toBeLessThan(50);
+  });
+
+  it('keeps crops of boxes at the edge inside the image', async () => {
+    const image = await buildRotatedFixture();
+
+    const crop = await cropToBoundingBox(image, { Left: 0.9, Top: 0.9, Width: 0.2, Height: 0.2 });
+    const { width, height } = await sharp(crop).metadata();
+
+    expect(width).toBeGreaterThan(0);
+    expect(width).toBeLessThanOrEqual(100);
+    expect(height).toBeLessThanOrEqual(400);
+  });
+});
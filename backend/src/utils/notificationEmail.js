@@ -0,0 +1,58 @@
+const { sendEmail } = require('../emails');
+const { signPermanentResource } = require('./signedUrl');
+const { getApiUrl } = require('./appUrl');
+
+/**
+ * Emails sent to users about notifications. Every one carries a link, and a
+ * List-Unsubscribe header, that turns off emails of its notification type
+ * in one click.
+ */
+
+/**
+ * Get the resource an unsubscribe link is signed for
+ * @param {string} userId - User ID
+ * @param {string} type - Notification type, or all
+ * @returns {string}
+ */
+const unsubscribeResource = (userId, type) => `unsubscribe:${userId}:${type}`;
+
+/**
+ * Build a link that stops emails of a notification type
+ * @param {string} userId - User ID
+ * @param {string} type - Notification type, or all
+ * @returns {string} - Unsubscribe URL
+ */
+const buildUnsubscribeUrl = (userId, type) => {
+  const signature = signPermanentResource(unsubscribeResource(userId, type));
+
+  return `${getApiUrl()}/api/notifications/unsubscribe/${userId}/${type}?signature=${signature}`;
+};
+
+/**
+ * Email a user about a type of notification
+ * @param {Object} user - Recipient user document
+ * @param {string} type - Notification type the email belongs to
+ * @param {string} template - Email template name
+ * @param {Object} data - Template data
+ * @returns {Promise} - Transport response
+ */
+const sendUserEmail = (user, type, template, data) => {
+  const unsubscribeUrl = buildUnsubscribeUrl(user.id, type);
+
+  return sendEmail({
+    to: user.email,
+    template,
+    data,
+    unsubscribeUrl,
+    headers: {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  });
+};
+
+module.exports = {
+  unsubscribeResource,
+  buildUnsubscribeUrl,
+  sendUserEmail
+};
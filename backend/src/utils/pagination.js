@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const { query } = require('express-validator');
+const { AppError } = require('./appError');
+
+/**
+ * Cursor pagination for list endpoints
+ *
+ * Lists are sorted on one field with _id as a tie-breaker. The cursor names
+ * the last document of a page by those two values, so pages stay stable
+ * while documents are added or removed, unlike skip/limit.
+ */
+
+const DEFAULT_LIMIT = parseInt(process.env.PAGE_DEFAULT_LIMIT, 10) || 50;
+const MAX_LIMIT = parseInt(process.env.PAGE_MAX_LIMIT, 10) || 200;
+
+/**
+ * Validation rules for the pagination query parameters
+ * @param {Object} sortFields - Sortable fields mapped to their type: date,
+ *   number or string
+ * @returns {Array} - express-validator chains
+ */
+const paginationValidation = (sortFields) => {
+  const sorts = Object.keys(sortFields).flatMap(field => [field, `-${field}`]);
+
+  return [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: MAX_LIMIT })
+      .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`),
+    query('cursor')
+      .optional()
+      .isBase64({ urlSafe: true })
+      .withMessage('Invalid cursor'),
+    query('sort')
+      .optional()
+      .isIn(sorts)
+      .withMessage(`Sort must be one of ${sorts.join(', ')}`)
+  ];
+};
+
+/**
+ * Encode the position after a document
+ * @param {Object} doc - Last document of a page
+ * @param {string} field - Sort field
+ * @returns {string} - Opaque cursor
+ */
+const encodeCursor = (doc, field) => {
+  const value = doc.get ? doc.get(field) : doc[field];
+
+  return Buffer.from(JSON.stringify({
+    value: value instanceof Date ? value.toISOString() : value,
+    id: doc._id.toString()
+  })).toString('base64url');
+};
+
+/**
+ * Decode a cursor back into sort values
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} type - Type of the sort field
+ * @returns {Object} - { value, id }
+ */
+const decodeCursor = (cursor, type) => {
+  try {
+    const { value, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error('Invalid cursor ID');
+    }
+
+    return {
+      value: value !== null && type === 'date' ? new Date(value) : value,
+      id: new mongoose.Types.ObjectId(id)
+    };
+  } catch (error) {
+    throw new AppError('Invalid cursor', 400);
+  }
+};
+
+/**
+ * Build the filter for documents after a cursor. Missing values sort before
+ * everything else, as in MongoDB.
+ * @param {string} field - Sort field
+ * @param {number} direction - 1 ascending, -1 descending
+ * @param {Object} position - Decoded cursor
+ * @returns {Object} - Query filter
+ */
+const afterCursor = (field, direction, { value, id }) => {
+  const idAfter = { _id: direction === 1 ? { $gt: id } : { $lt: id } };
+
+  if (value === null || value === undefined) {
+    return direction === 1
+      ? { $or: [{ [field]: { $ne: null } }, { [field]: null, ...idAfter }] }
+      : { [field]: null, ...idAfter };
+  }
+
+  const valueAfter = direction === 1 ? { $gt: value } : { $lt: value };
+  const conditions = [{ [field]: valueAfter }, { [field]: value, ...idAfter }];
+
+  // Documents without a value come last when sorting descending
+  if (direction === -1) {
+    conditions.push({ [field]: null });
+  }
+
+  return { $or: conditions };
+};
+
+/**
+ * Read the page requested in the query string
+ * @param {Object} reqQuery - Express req.query
+ * @param {Object} options - Page options
+ * @param {Object} options.sortFields - Sortable fields mapped to their type
+ * @param {string} options.defaultSort - Sort used when none is requested,
+ *   e.g. -uploadedAt
+ * @returns {Object} - { field, direction, limit, position }
+ */
+const parsePage = (reqQuery, { sortFields, defaultSort }) => {
+  const sort = reqQuery.sort || defaultSort;
+  const field = sort.replace(/^-/, '');
+
+  return {
+    field,
+    direction: sort.startsWith('-') ? -1 : 1,
+    limit: Math.min(parseInt(reqQuery.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT),
+    position: reqQuery.cursor ? decodeCursor(reqQuery.cursor, sortFields[field]) : null
+  };
+};
+
+/**
+ * Build a filter for a date range, either end of which may be open
+ * @param {string} [from] - Earliest date, ISO 8601
+ * @param {string} [to] - Latest date, ISO 8601
+ * @returns {Object|null} - Condition for a date field, or null for no range
+ */
+const dateRange = (from, to) => {
+  if (!from && !to) {
+    return null;
+  }
+
+  const range = {};
+
+  if (from) {
+    range.$gte = new Date(from);
+  }
+  if (to) {
+    range.$lte = new Date(to);
+  }
+
+  return range;
+};
+
+/**
+ * Fetch one page of a list
+ * @param {Object} model - Mongoose model
+ * @param {Object} filter - Filter for the whole list
+ * @param {Object} page - Page from parsePage
+ * @param {Function} [buildQuery] - Adds populate or select calls to the query
+ * @returns {Promise<Object>} - { data, pagination: { limit, total, next } }
+ *   where next is the cursor of the following page, or null on the last one
+ */
+const paginate = async (model, filter, page, buildQuery = pageQuery => pageQuery) => {
+  const { field, direction, limit, position } = page;
+  const pageFilter = position
+    ? { $and: [filter, afterCursor(field, direction, position)] }
+    : filter;
+
+  // One extra document tells whether another page follows
+  const [docs, total] = await Promise.all([
+    buildQuery(model.find(pageFilter))
+      .sort({ [field]: direction, _id: direction })
+      .limit(limit + 1),
+    model.countDocuments(filter)
+  ]);
+
+  const data = docs.slice(0, limit);
+
+  return {
+    data,
+    pagination: {
+      limit,
+      total,
+      next: docs.length > limit ? encodeCursor(data[data.length - 1], field) : null
+    }
+  };
+};
+
+module.exports = {
+  paginationValidation,
+  parsePage,
+  dateRange,
+  paginate
+};
@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const { parsePage, dateRange, paginate } = require('./pagination');
+
+const SORT_FIELDS = { takenAt: 'date', name: 'string' };
+
+// Compare values as MongoDB sorts them, with missing values first
+const compare = (a, b) => {
+  if (a == null || b == null) {
+    return (a == null ? 0 : 1) - (b == null ? 0 : 1);
+  }
+
+  const left = a instanceof mongoose.Types.ObjectId ? a.toString() : a.valueOf();
+  const right = b instanceof mongoose.Types.ObjectId ? b.toString() : b.valueOf();
+
+  return left < right ? -1 : left > right ? 1 : 0;
+};
+
+// Match the subset of query operators the pagination filters use
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$and') {
+    return condition.every(part => matches(doc, part));
+  }
+  if (key === '$or') {
+    return condition.some(part => matches(doc, part));
+  }
+
+  const value = doc[key];
+
+  const isOperator = condition !== null && typeof condition === 'object' &&
+    Object.keys(condition).some(operator => operator.startsWith('$'));
+
+  if (!isOperator) {
+    return condition === null ? value == null : compare(value, condition) === 0;
+  }
+  if (condition.$ne === null) {
+    return value != null;
+  }
+  if ('$gt' in condition) {
+    return value != null && compare(value, condition.$gt) > 0;
+  }
+  if ('$lt' in condition) {
+    return value != null && compare(value, condition.$lt) < 0;
+  }
+
+  throw new Error(`Unsupported condition on ${key}`);
+});
+
+// Model with the find/sort/limit/countDocuments calls paginate makes
+const buildModel = (docs) => ({
+  find: (filter) => {
+    let sort = {};
+    let limit = Infinity;
+    const query = {
+      sort: (spec) => { sort = spec; return query; },
+      limit: (count) => { limit = count; return query; },
+      then: (resolve, reject) => Promise.resolve(docs
+        .filter(doc => matches(doc, filter))
+        .sort((a, b) => {
+          for (const [field, direction] of Object.entries(sort)) {
+            const order = compare(a[field], b[field]) * direction;
+            if (order !== 0) {
+              return order;
+            }
+          }
+          return 0;
+        })
+        .slice(0, limit)).then(resolve, reject)
+    };
+    return query;
+  },
+  countDocuments: async filter => docs.filter(doc => matches(doc, filter)).length
+});
+
+const buildDocs = () => {
+  const dates = ['2026-01-03', '2026-01-01', null, '2026-01-02', '2026-01-01', null, '2026-01-02'];
+
+  return dates.map((date, i) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name: `photo ${i}`,
+    takenAt: date ? new Date(date) : null
+  }));
+};
+
+// Follow next cursors to the last page and collect every document
+const readAllPages = async (model, reqQuery) => {
+  const seen = [];
+  let cursor;
+
+  do {
+    const page = parsePage({ ...reqQuery, cursor }, { sortFields: SORT_FIELDS, defaultSort: '-takenAt' });
+    const result = await paginate(model, {}, page);
+
+    expect(result.data.length).toBeLessThanOrEqual(page.limit);
+    expect(result.pagination.total).toBe(7);
+    seen.push(...result.data);
+    cursor = result.pagination.next;
+  } while (cursor);
+
+  return seen;
+};
+
+describe('paginate', () => {
+  it.each(['takenAt', '-takenAt', 'name', '-name'])('pages through every document once sorted on %s', async (sort) => {
+    const docs = buildDocs();
+    const model = buildModel(docs);
+
+    const paged = await readAllPages(model, { sort, limit: '2' });
+    const all = await readAllPages(model, { sort, limit: '100' });
+
+    expect(paged.map(doc => doc._id)).toEqual(all.map(doc => doc._id));
+    expect(new Set(paged.map(doc => doc._id.toString())).size).toBe(docs.length);
+  });
+
+  it('sorts missing values first ascending and last descending', async () => {
+    const model = buildModel(buildDocs());
+
+    const ascending = await readAllPages(model, { sort: 'takenAt', limit: '3' });
+    const descending = await readAllPages(model, { sort: '-takenAt', limit: '3' });
+
+    expect(ascending.slice(0, 2).every(doc => doc.takenAt === null)).toBe(true);
+    expect(descending.slice(-2).every(doc => doc.takenAt === null)).toBe(true);
+  });
+
+  it('keeps pages stable when documents are added before the cursor', async () => {
+    const docs = buildDocs();
+    const model = buildModel(docs);
+    const page = parsePage({ sort: 'name', limit: '3' }, { sortFields: SORT_FIELDS, defaultSort: 'name' });
+
+    const first = await paginate(model, {}, page);
+    docs.push({ _id: new mongoose.Types.ObjectId(), name: 'a first photo', takenAt: null });
+
+    const next = parsePage(
+      { sort: 'name', limit: '3', cursor: first.pagination.next },
+      { sortFields: SORT_FIELDS, defaultSort: 'name' }
+    );
+    const second = await paginate(model, {}, next);
+
+    expect(second.data.map(doc => doc.name)).toEqual(['photo 3', 'photo 4', 'photo 5']);
+  });
+});
+
+describe('parsePage', () => {
+  const options = { sortFields: SORT_FIELDS, defaultSort: '-takenAt' };
+
+  it('uses the default sort and limit', () => {
+    expect(parsePage({}, options)).toEqual({
+      field: 'takenAt',
+      direction: -1,
+      limit: 50,
+      position: null
+    });
+  });
+
+  it('caps the limit', () => {
+    expect(parsePage({ limit: '5000' }, options).limit).toBe(200);
+  });
+
+  it('rejects cursors that cannot be decoded with a 400', () => {
+    const badCursors = [
+      'not-json',
+      Buffer.from(JSON.stringify({ value: null, id: 'nope' })).toString('base64url')
+    ];
+
+    for (const cursor of badCursors) {
+      expect(() => parsePage({ cursor }, options)).toThrow(expect.objectContaining({
+        message: 'Invalid cursor',
+        statusCode: 400
+      }));
+    }
+  });
+});
+
+describe('dateRange', () => {
+  it('builds open and closed ranges', () => {
+    expect(dateRange()).toBeNull();
+    expect(dateRange('2026-01-01')).toEqual({ $gte: new Date('2026-01-01') });
+    expect(dateRange(undefined, '2026-02-01')).toEqual({ $lte: new Date('2026-02-01') });
+    expect(dateRange('2026-01-01', '2026-02-01')).toEqual({
+      $gte: new Date('2026-01-01'),
+      $lte: new Date('2026-02-01')
+    });
+  });
+});
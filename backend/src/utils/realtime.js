@@ -0,0 +1,146 @@
+const { EventEmitter } = require('events');
+const RealtimeMessage = require('../models/RealtimeMessage');
+
+/**
+ * Publish/subscribe hub for real-time updates
+ *
+ * Messages are published on channels named after who should receive them:
+ * user:<id> for one user, and event:<id> for everyone viewing an event.
+ * Publishing writes the message to a capped collection. Every instance
+ * with subscribers tails that collection, so clients receive messages
+ * whichever instance or worker published them.
+ */
+
+// Wait before tailing again after the cursor closed, e.g. while the
+// collection is still empty
+const TAIL_RETRY_MS = 1000;
+
+const emitter = new EventEmitter();
+
+// Every open stream subscribes to several channels
+emitter.setMaxListeners(0);
+
+let tailing = false;
+
+/**
+ * Get the channel of a user
+ * @param {string} userId - User ID
+ * @returns {string}
+ */
+const userChannel = (userId) => `user:${userId}`;
+
+/**
+ * Get the channel of an event
+ * @param {string} eventId - Event ID
+ * @returns {string}
+ */
+const eventChannel = (eventId) => `event:${eventId}`;
+
+/**
+ * Publish a message on one or more channels. Failures are logged, as
+ * real-time updates are never essential to the request publishing them.
+ * @param {string|string[]} channels - Channel names
+ * @param {string} type - Message type, e.g. notification
+ * @param {Object} data - Message data, sent to clients as JSON
+ * @returns {Promise}
+ */
+const publish = (channels, type, data) => RealtimeMessage.create({
+  channels: [].concat(channels),
+  type,
+  // Stored as clients will receive it
+  data: JSON.parse(JSON.stringify(data))
+}).catch(error => {
+  console.error('Error publishing real-time message:', error);
+});
+
+/**
+ * Pass a stored message to the local subscribers of its channels
+ * @param {Object} doc - Real-time message document
+ */
+const deliver = (doc) => {
+  const message = { type: doc.type, data: doc.data, channels: doc.channels };
+
+  for (const channel of doc.channels) {
+    emitter.emit(channel, message);
+  }
+};
+
+/**
+ * Deliver messages published from now on, for as long as the process
+ * runs. Capped collections keep insertion order, so the cursor only has
+ * to be reopened when it closes, after the last message delivered.
+ */
+const tailMessages = async () => {
+  let since = new Date();
+  let deliveredSince = new Set();
+
+  for (;;) {
+    try {
+      const cursor = RealtimeMessage.find({ createdAt: { $gte: since } })
+        .tailable(true, { awaitData: true })
+        .lean()
+        .cursor();
+
+      for await (const doc of cursor) {
+        const id = doc._id.toString();
+
+        // Messages created in the same millisecond are seen again when the
+        // cursor is reopened
+        if (deliveredSince.has(id)) {
+          continue;
+        }
+
+        if (doc.createdAt > since) {
+          since = doc.createdAt;
+          deliveredSince = new Set();
+        }
+        deliveredSince.add(id);
+
+        deliver(doc);
+      }
+    } catch (error) {
+      console.error('Error reading real-time messages:', error);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, TAIL_RETRY_MS));
+  }
+};
+
+/**
+ * Listen for messages on channels. A message published on several of the
+ * channels is received once.
+ * @param {string[]} channels - Channel names
+ * @param {Function} listener - Called with each { type, data, channels } message
+ * @returns {Function} - Stops listening
+ */
+const subscribe = (channels, listener) => {
+  if (!tailing) {
+    tailing = true;
+    tailMessages();
+  }
+
+  const received = new WeakSet();
+  const onMessage = (message) => {
+    if (!received.has(message)) {
+      received.add(message);
+      listener(message);
+    }
+  };
+
+  for (const channel of channels) {
+    emitter.on(channel, onMessage);
+  }
+
+  return () => {
+    for (const channel of channels) {
+      emitter.off(channel, onMessage);
+    }
+  };
+};
+
+module.exports = {
+  userChannel,
+  eventChannel,
+  publish,
+  subscribe
+};
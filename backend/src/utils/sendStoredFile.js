@@ -0,0 +1,76 @@
+const path = require('path');
+const storage = require('../providers/storage');
+const { AppError } = require('./appError');
+
+/**
+ * Stream a file from storage as the response, with ETag/Last-Modified
+ * validation and single byte-range support
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} key - Storage key
+ * @param {Object} [options] - Response options
+ * @param {string} [options.contentType] - MIME type; guessed from the key if omitted
+ * @param {string} [options.cacheControl] - Cache-Control header value
+ */
+const sendStoredFile = async (req, res, key, options = {}) => {
+  let stats;
+  try {
+    stats = await storage.stat(key);
+  } catch (error) {
+    throw new AppError('File not found', 404);
+  }
+
+  const lastModified = new Date(stats.lastModified);
+
+  res.set({
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': options.cacheControl || 'private, max-age=300',
+    ETag: `"${stats.size.toString(16)}-${lastModified.getTime().toString(16)}"`,
+    'Last-Modified': lastModified.toUTCString()
+  });
+  res.type(options.contentType || path.extname(key));
+
+  // req.fresh compares If-None-Match/If-Modified-Since with the headers set above
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  let range;
+  if (req.headers.range) {
+    const ranges = req.range(stats.size);
+
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${stats.size}`);
+      throw new AppError('Requested range not satisfiable', 416);
+    }
+
+    // Malformed or multi-part ranges fall back to the whole file
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      range = ranges[0];
+    }
+  }
+
+  if (range) {
+    res.status(206);
+    res.set({
+      'Content-Range': `bytes ${range.start}-${range.end}/${stats.size}`,
+      'Content-Length': range.end - range.start + 1
+    });
+  } else {
+    res.status(200);
+    res.set('Content-Length', stats.size);
+  }
+
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  const stream = await storage.createReadStream(key, range);
+  stream.on('error', (error) => {
+    console.error(`Error streaming file ${key}:`, error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+module.exports = { sendStoredFile };
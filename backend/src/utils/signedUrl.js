@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+
+/**
+ * Short-lived signatures that let a URL be used without a bearer token,
+ * e.g. as the src of an <img> tag
+ */
+
+const getSecret = () => process.env.SIGNED_URL_SECRET || process.env.JWT_SECRET;
+
+const getTtlSeconds = () => parseInt(process.env.SIGNED_URL_TTL_SECONDS, 10) || 300;
+
+const computeSignature = (resource, expires) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`${resource}:${expires}`)
+  .digest('hex');
+
+/**
+ * Sign a resource for a limited time
+ * @param {string} resource - Resource identifier, e.g. photo:<id>
+ * @returns {Object} - { expires, signature, expiresAt }
+ */
+const signResource = (resource) => {
+  const expires = Math.floor(Date.now() / 1000) + getTtlSeconds();
+
+  return {
+    expires,
+    signature: computeSignature(resource, expires),
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+/**
+ * Check a signature created by signResource
+ * @param {string} resource - Resource identifier
+ * @param {string|number} expires - Expiry as seconds since the epoch
+ * @param {string} signature - Signature to check
+ * @returns {boolean} - Whether the signature is valid and not expired
+ */
+const verifySignature = (resource, expires, signature) => {
+  // Anything but a number, such as the "permanent" of permanent
+  // signatures, is rejected
+  const expiresAt = Number(expires);
+
+  if (!signature || !Number.isInteger(expiresAt) || expiresAt < Date.now() / 1000) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(resource, expires));
+  const actual = Buffer.from(String(signature));
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Sign a resource without an expiry, for links that must keep working,
+ * such as unsubscribe links in emails
+ * @param {string} resource - Resource identifier
+ * @returns {string} - Signature
+ */
+const signPermanentResource = (resource) => computeSignature(resource, 'permanent');
+
+/**
+ * Check a signature created by signPermanentResource
+ * @param {string} resource - Resource identifier
+ * @param {string} signature - Signature to check
+ * @returns {boolean}
+ */
+const verifyPermanentSignature = (resource, signature) => {
+  if (!signature) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPermanentResource(resource));
+  const actual = Buffer.from(String(signature));
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Build a signed URL for a path
+ * @param {string} urlPath - Path the signature grants access to, which may
+ *   have a query string
+ * @param {string} resource - Resource identifier
+ * @returns {Object} - { url, expiresAt }
+ */
+const buildSignedUrl = (urlPath, resource) => {
+  const { expires, signature, expiresAt } = signResource(resource);
+  const separator = urlPath.includes('?') ? '&' : '?';
+
+  return {
+    url: `${urlPath}${separator}expires=${expires}&signature=${signature}`,
+    expiresAt
+  };
+};
+
+module.exports = {
+  signResource,
+  verifySignature,
+  signPermanentResource,
+  verifyPermanentSignature,
+  buildSignedUrl
+};
@@ -0,0 +1,116 @@
+const {
+  signResource,
+  verifySignature,
+  signPermanentResource,
+  verifyPermanentSignature,
+  buildSignedUrl
+} = require('./signedUrl');
+
+const NOW = new Date('2026-01-01T12:00:00Z');
+
+beforeAll(() => {
+  process.env.SIGNED_URL_SECRET = 'test-secret';
+  process.env.SIGNED_URL_TTL_SECONDS = '300';
+});
+
+beforeEach(() => {
+  jest.useFakeTimers().setSystemTime(NOW);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('verifySignature', () => {
+  it('accepts a signature for the resource it was made for', () => {
+    const { expires, signature } = signResource('photo:1');
+
+    expect(verifySignature('photo:1', expires, signature)).toBe(true);
+    expect(verifySignature('photo:1', String(expires), signature)).toBe(true);
+  });
+
+  it('rejects the signature of another resource', () => {
+    const { expires, signature } = signResource('photo:1');
+
+    expect(verifySignature('photo:2', expires, signature)).toBe(false);
+  });
+
+  it('rejects a signature whose expiry was changed', () => {
+    const { expires, signature } = signResource('photo:1');
+
+    expect(verifySignature('photo:1', expires + 3600, signature)).toBe(false);
+  });
+
+  it('rejects tampered and missing signatures', () => {
+    const { expires, signature } = signResource('photo:1');
+    const tampered = `${signature.slice(0, -1)}${signature.endsWith('0') ? '1' : '0'}`;
+
+    expect(verifySignature('photo:1', expires, tampered)).toBe(false);
+    expect(verifySignature('photo:1', expires, signature.slice(1))).toBe(false);
+    expect(verifySignature('photo:1', expires, undefined)).toBe(false);
+    expect(verifySignature('photo:1', undefined, signature)).toBe(false);
+  });
+
+  it('rejects signatures made with another secret', () => {
+    const { expires, signature } = signResource('photo:1');
+    process.env.SIGNED_URL_SECRET = 'other-secret';
+
+    try {
+      expect(verifySignature('photo:1', expires, signature)).toBe(false);
+    } finally {
+      process.env.SIGNED_URL_SECRET = 'test-secret';
+    }
+  });
+
+  it('expires after the configured time', () => {
+    const { expires, signature, expiresAt } = signResource('photo:1');
+
+    expect(expiresAt).toEqual(new Date(NOW.getTime() + 300 * 1000));
+
+    jest.setSystemTime(NOW.getTime() + 300 * 1000);
+    expect(verifySignature('photo:1', expires, signature)).toBe(true);
+
+    jest.setSystemTime(NOW.getTime() + 301 * 1000);
+    expect(verifySignature('photo:1', expires, signature)).toBe(false);
+  });
+});
+
+describe('verifyPermanentSignature', () => {
+  it('accepts the signature of the resource at any time', () => {
+    const signature = signPermanentResource('unsubscribe:1');
+
+    jest.setSystemTime(NOW.getTime() + 365 * 24 * 60 * 60 * 1000);
+    expect(verifyPermanentSignature('unsubscribe:1', signature)).toBe(true);
+  });
+
+  it('rejects the signature of another resource or a missing one', () => {
+    const signature = signPermanentResource('unsubscribe:1');
+
+    expect(verifyPermanentSignature('unsubscribe:2', signature)).toBe(false);
+    expect(verifyPermanentSignature('unsubscribe:1', '')).toBe(false);
+  });
+
+  it('is not accepted as a short-lived signature', () => {
+    const signature = signPermanentResource('photo:1');
+
+    expect(verifySignature('photo:1', 'permanent', signature)).toBe(false);
+  });
+});
+
+describe('buildSignedUrl', () => {
+  it('appends a verifiable signature to the path', () => {
+    const { url } = buildSignedUrl('/api/photos/1/file', 'photo:1');
+    const params = new URL(url, 'http://localhost').searchParams;
+
+    expect(url.startsWith('/api/photos/1/file?expires=')).toBe(true);
+    expect(verifySignature('photo:1', params.get('expires'), params.get('signature'))).toBe(true);
+  });
+
+  it('keeps an existing query string', () => {
+    const { url } = buildSignedUrl('/api/photos/1/file?size=medium', 'photo:1');
+    const params = new URL(url, 'http://localhost').searchParams;
+
+    expect(params.get('size')).toBe('medium');
+    expect(verifySignature('photo:1', params.get('expires'), params.get('signature'))).toBe(true);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Minimal streaming writer for POSIX ustar archives, so large downloads
+ * are written entry by entry instead of being built in memory
+ */
+
+const BLOCK_SIZE = 512;
+
+/**
+ * Write a number as a NUL-terminated octal field
+ * @param {Buffer} header - Header block
+ * @param {number} value - Value to write
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length, including the terminator
+ */
+const writeOctal = (header, value, offset, length) => {
+  header.write(`${value.toString(8).padStart(length - 1, '0')}\0`, offset, length, 'ascii');
+};
+
+/**
+ * Build the header block of a regular file entry
+ * @param {string} name - File name, at most 100 bytes
+ * @param {number} size - File size in bytes
+ * @param {Date} mtime - Modification time
+ * @returns {Buffer}
+ */
+const createHeader = (name, size, mtime) => {
+  const header = Buffer.alloc(BLOCK_SIZE);
+
+  header.write(name, 0, 100, 'utf8');
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.write('0', 156, 1, 'ascii');
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+
+  // The checksum is computed with its own field filled with spaces
+  header.fill(' ', 148, 156);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+
+  return header;
+};
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full
+ * @param {Object} stream - Writable stream
+ * @param {Buffer} chunk - Data to write
+ * @returns {Promise<void>} - Rejects if the stream closes first
+ */
+const write = (stream, chunk) => new Promise((resolve, reject) => {
+  if (stream.destroyed) {
+    reject(new Error('Stream closed'));
+    return;
+  }
+
+  if (stream.write(chunk)) {
+    resolve();
+    return;
+  }
+
+  const onDrain = () => {
+    stream.off('close', onClose);
+    resolve();
+  };
+  const onClose = () => {
+    stream.off('drain', onDrain);
+    reject(new Error('Stream closed'));
+  };
+
+  stream.once('drain', onDrain);
+  stream.once('close', onClose);
+});
+
+/**
+ * Create a tar writer on a stream
+ * @param {Object} stream - Writable stream, e.g. an Express response
+ * @returns {Object} - { addFile(name, data, mtime), finish() }
+ */
+const createTarWriter = (stream) => ({
+  addFile: async (name, data, mtime = new Date()) => {
+    await write(stream, createHeader(name, data.length, mtime));
+    await write(stream, data);
+
+    const padding = (BLOCK_SIZE - (data.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (padding > 0) {
+      await write(stream, Buffer.alloc(padding));
+    }
+  },
+  // An archive ends with two empty blocks
+  finish: async () => {
+    await write(stream, Buffer.alloc(BLOCK_SIZE * 2));
+    stream.end();
+  }
+});
+
+module.exports = { createTarWriter };
@@ -0,0 +1,119 @@
+const { PassThrough } = require('stream');
+const { createTarWriter } = require('./tarArchive');
+
+const BLOCK_SIZE = 512;
+
+// Collect everything written to a stream
+const collect = (stream) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  return new Promise(resolve => stream.on('end', () => resolve(Buffer.concat(chunks))));
+};
+
+const readString = (block, offset, length) =>
+  block.toString('utf8', offset, offset + length).replace(/\0.*$/s, '');
+
+const readOctal = (block, offset, length) => parseInt(readString(block, offset, length).trim(), 8);
+
+// Read the entries of an archive, checking each header's checksum
+const readEntries = (archive) => {
+  const entries = [];
+  let offset = 0;
+
+  while (offset < archive.length) {
+    const header = archive.subarray(offset, offset + BLOCK_SIZE);
+
+    if (header.every(byte => byte === 0)) {
+      break;
+    }
+
+    const checksum = readOctal(header, 148, 8);
+    const expected = Buffer.concat([header.subarray(0, 148), Buffer.alloc(8, ' '), header.subarray(156)])
+      .reduce((sum, byte) => sum + byte, 0);
+    expect(checksum).toBe(expected);
+
+    const size = readOctal(header, 124, 12);
+    entries.push({
+      name: readString(header, 0, 100),
+      size,
+      mtime: readOctal(header, 136, 12),
+      type: readString(header, 156, 1),
+      magic: readString(header, 257, 6),
+      data: archive.subarray(offset + BLOCK_SIZE, offset + BLOCK_SIZE + size)
+    });
+
+    offset += BLOCK_SIZE + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+  }
+
+  return { entries, end: archive.subarray(offset) };
+};
+
+describe('createTarWriter', () => {
+  it('writes entries a tar reader can read back', async () => {
+    const stream = new PassThrough();
+    const archive = collect(stream);
+    const tar = createTarWriter(stream);
+    const large = Buffer.alloc(1500, 7);
+    const mtime = new Date('2026-01-01T00:00:00Z');
+
+    await tar.addFile('photo-1.jpg', Buffer.from('first photo'), mtime);
+    await tar.addFile('photo-2.jpg', large, mtime);
+    await tar.addFile('empty.txt', Buffer.alloc(0), mtime);
+    await tar.finish();
+
+    const data = await archive;
+    const { entries, end } = readEntries(data);
+
+    expect(data.length % BLOCK_SIZE).toBe(0);
+    expect(entries.map(entry => entry.name)).toEqual(['photo-1.jpg', 'photo-2.jpg', 'empty.txt']);
+    expect(entries[0]).toMatchObject({
+      size: 11,
+      mtime: mtime.getTime() / 1000,
+      type: '0',
+      magic: 'ustar'
+    });
+    expect(entries[0].data.toString()).toBe('first photo');
+    expect(entries[1].data.equals(large)).toBe(true);
+    expect(entries[2].size).toBe(0);
+    expect(end.equals(Buffer.alloc(BLOCK_SIZE * 2))).toBe(true);
+  });
+
+  it('keeps non-ASCII file names', async () => {
+    const stream = new PassThrough();
+    const archive = collect(stream);
+    const tar = createTarWriter(stream);
+
+    await tar.addFile('Zoë’s party.jpg', Buffer.from('x'));
+    await tar.finish();
+
+    const { entries } = readEntries(await archive);
+    expect(entries[0].name).toBe('Zoë’s party.jpg');
+  });
+
+  it('waits for a full stream to drain', async () => {
+    const stream = new PassThrough({ highWaterMark: BLOCK_SIZE });
+    const tar = createTarWriter(stream);
+    let written = false;
+
+    const adding = tar.addFile('photo.jpg', Buffer.alloc(BLOCK_SIZE * 4)).then(() => {
+      written = true;
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(written).toBe(false);
+
+    stream.resume();
+    await adding;
+    expect(written).toBe(true);
+  });
+
+  it('stops when the client goes away', async () => {
+    const stream = new PassThrough({ highWaterMark: BLOCK_SIZE });
+    const tar = createTarWriter(stream);
+
+    const adding = tar.addFile('photo.jpg', Buffer.alloc(BLOCK_SIZE * 4));
+    stream.destroy();
+
+    await expect(adding).rejects.toThrow('Stream closed');
+    await expect(tar.addFile('next.jpg', Buffer.from('x'))).rejects.toThrow('Stream closed');
+  });
+});